@@ -0,0 +1,288 @@
+(() => {
+  // ================== Socket.IO (moderator namespace, session cookie auth) ==================
+  const socket = io('/mod', {
+    transports: ['polling'],
+    upgrade: false,
+    path: '/socket.io',
+    withCredentials: true
+  });
+
+  // ================== DOM ==================
+  const $ = (id) => document.getElementById(id);
+  const connEl          = $('conn');
+  const modNameEl       = $('modName');
+  const playerRows      = $('playerRows');
+  const playerCount     = $('playerCount');
+  const roomRows        = $('roomRows');
+  const paintRows       = $('paintRows');
+  const banRows         = $('banRows');
+  const auditEl         = $('audit');
+  const toastEl         = $('toast');
+  const announceForm    = $('announceForm');
+  const announceText    = $('announceText');
+  const announceMinutes = $('announceMinutes');
+  const announceClear   = $('announceClear');
+  const announceCurrent = $('announceCurrent');
+  const releaseForm     = $('releaseForm');
+  const releaseName     = $('releaseName');
+
+  let state = { players: [], rooms: [], spawns: [], paint: [], bans: [], announcement: null };
+  let lastStateJson = '';
+
+  // ================== Helpers ==================
+  function el(tag, props = {}, children = []) {
+    const n = document.createElement(tag);
+    Object.assign(n, props);
+    for (const c of children) n.append(c);
+    return n;
+  }
+
+  function clock(ts) {
+    const d = new Date(ts);
+    return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  }
+
+  function roomName(id) {
+    const r = state.rooms.find(r => r.id === id);
+    return r ? r.name : id;
+  }
+
+  function where(p) {
+    if (!p.roomId) return 'Campus';
+    const r = state.rooms.find(r => r.id === p.roomId);
+    const sr = r && p.subroomId ? r.subrooms.find(s => s.id === p.subroomId) : null;
+    return sr ? `${roomName(p.roomId)} › ${sr.name}` : roomName(p.roomId);
+  }
+
+  function toast(text, isError = false) {
+    toastEl.textContent = text;
+    toastEl.classList.toggle('err', isError);
+  }
+
+  /** Send an action; the server acks { ok, error? } */
+  function act(name, args = {}) {
+    socket.emit('action', { name, args }, (res) => {
+      if (res && res.ok) toast(`${name}: done`);
+      else toast(`${name}: ${(res && res.error) || 'failed'}`, true);
+    });
+  }
+
+  function ask(label, def) {
+    const v = window.prompt(label, def);
+    return v === null ? null : v.trim();
+  }
+
+  // ================== Rendering ==================
+  function teleportSelect(p) {
+    const sel = el('select', { title: 'Teleport to…' });
+    sel.append(el('option', { value: '', textContent: 'Teleport…' }));
+    sel.append(el('option', { value: 'campus', textContent: 'Campus' }));
+    for (const name of state.spawns) sel.append(el('option', { value: `spawn:${name}`, textContent: `Spawn: ${name}` }));
+    for (const r of state.rooms) {
+      sel.append(el('option', { value: r.id, textContent: r.name }));
+      for (const sr of r.subrooms) sel.append(el('option', { value: `${r.id}/${sr.id}`, textContent: `  ${r.name} › ${sr.name}` }));
+    }
+    sel.addEventListener('change', () => {
+      if (sel.value) act('teleport', { id: p.id, to: sel.value });
+      sel.value = '';
+    });
+    return sel;
+  }
+
+  function button(text, onClick, cls = '') {
+    const b = el('button', { type: 'button', textContent: text, className: cls });
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function ban(p, action) {
+    const m = ask(`Ban ${p.name} for how many minutes?`, '60');
+    if (!m) return;
+    const reason = ask('Reason (optional):', '');
+    if (reason !== null) act(action, { id: p.id, minutes: Number(m), reason });
+  }
+
+  function renderPlayers() {
+    playerCount.textContent = state.players.length;
+    playerRows.replaceChildren();
+    if (!state.players.length) {
+      playerRows.append(el('tr', {}, [el('td', { colSpan: 4, className: 'empty', textContent: 'Nobody online.' })]));
+      return;
+    }
+    const now = Date.now();
+    for (const p of state.players.slice().sort((a, b) => a.name.localeCompare(b.name))) {
+      const status = el('td');
+      if (p.role === 'mod') status.append(el('span', { className: 'tag', textContent: 'mod' }), ' ');
+      if (p.mutedUntil > now) {
+        status.append(el('span', { className: 'tag warn', textContent: `muted ${Math.ceil((p.mutedUntil - now) / 60000)}m` }));
+      }
+
+      const actions = el('div', { className: 'actions' }, [
+        teleportSelect(p),
+        p.mutedUntil > now
+          ? button('Unmute', () => act('unmute', { id: p.id }))
+          : button('Mute', () => {
+              const m = ask(`Mute ${p.name} for how many minutes?`, '10');
+              if (m) act('mute', { id: p.id, minutes: Number(m) });
+            }),
+        button('Kick', () => {
+          const reason = ask(`Kick ${p.name}? Reason (optional):`, '');
+          if (reason !== null) act('kick', { id: p.id, reason });
+        }, 'danger'),
+        button('Ban', () => ban(p, 'ban'), 'danger'),
+        button('Ban IP', () => {
+          if (window.confirm(`Also ban ${p.name}’s network address? Everyone sharing it (a whole school behind one connection) is locked out too.`)) ban(p, 'banip');
+        }, 'danger')
+      ]);
+
+      playerRows.append(el('tr', {}, [
+        el('td', { textContent: p.name }),
+        el('td', { textContent: where(p) }),
+        status,
+        el('td', {}, [actions])
+      ]));
+    }
+  }
+
+  function renderRooms() {
+    roomRows.replaceChildren();
+    for (const r of state.rooms) {
+      const stateCell = el('td');
+      if (r.closed) {
+        stateCell.append(el('span', { className: 'tag warn', textContent: 'closed' }),
+          ` by ${r.closed.by}${r.closed.reason ? ` — ${r.closed.reason}` : ''}`);
+      } else {
+        stateCell.append(el('span', { className: 'tag', textContent: 'open' }));
+      }
+      const btn = r.closed
+        ? button('Open', () => act('openRoom', { roomId: r.id }))
+        : button('Close', () => {
+            const reason = ask(`Close ${r.name}? Everyone inside is sent outside. Reason (optional):`, '');
+            if (reason !== null) act('closeRoom', { roomId: r.id, reason });
+          }, 'danger');
+      roomRows.append(el('tr', {}, [el('td', { textContent: r.name }), stateCell, el('td', {}, [btn])]));
+    }
+  }
+
+  function renderPaint() {
+    paintRows.replaceChildren();
+    if (!state.paint.length) {
+      paintRows.append(el('tr', {}, [el('td', { colSpan: 3, className: 'empty', textContent: 'Nothing painted.' })]));
+      return;
+    }
+    for (const s of state.paint) {
+      const label = where(s);
+      paintRows.append(el('tr', {}, [
+        el('td', { textContent: label }),
+        el('td', { textContent: `${s.strokes} (${s.points} points)` }),
+        el('td', {}, [button('Clear', () => {
+          if (window.confirm(`Wipe all paint in ${label}?`)) act('clearPaint', { roomId: s.roomId, subroomId: s.subroomId });
+        }, 'danger')])
+      ]));
+    }
+  }
+
+  function renderBans() {
+    banRows.replaceChildren();
+    // Name and address keys share one ban record; list it once
+    const seen = new Set();
+    const bans = state.bans.filter(b => {
+      const id = `${b.name}|${b.until}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+    if (!bans.length) {
+      banRows.append(el('tr', {}, [el('td', { colSpan: 3, className: 'empty', textContent: 'No active bans.' })]));
+      return;
+    }
+    for (const b of bans) {
+      banRows.append(el('tr', {}, [
+        el('td', { textContent: b.address ? `${b.name} + address` : b.name, title: b.reason || '' }),
+        el('td', { textContent: clock(b.until) }),
+        el('td', {}, [button('Unban', () => act('unban', { key: b.key }))])
+      ]));
+    }
+  }
+
+  function renderAnnouncement() {
+    const a = state.announcement;
+    announceCurrent.textContent = a ? `Showing until ${clock(a.until)}: “${a.text}” (${a.by})` : 'No announcement.';
+    announceCurrent.classList.toggle('empty', !a);
+  }
+
+  function describe(e) {
+    const who = e.target ? ` ${e.target.name}` : '';
+    const extra = [];
+    if (e.roomId) extra.push(where(e));
+    if (e.to) extra.push(`→ ${e.to}`);
+    if (e.minutes) extra.push(`${e.minutes} min`);
+    if (e.reason) extra.push(`“${e.reason}”`);
+    if (e.text) extra.push(`“${e.text}”`);
+    return `${e.by} (${e.via}) ${e.action}${who}${extra.length ? ` — ${extra.join(', ')}` : ''}`;
+  }
+
+  function addAudit(e) {
+    auditEl.prepend(el('li', {}, [el('time', { textContent: clock(e.ts) }), describe(e)]));
+    while (auditEl.children.length > 200) auditEl.lastChild.remove();
+  }
+
+  function render() {
+    renderPlayers();
+    renderRooms();
+    renderPaint();
+    renderBans();
+    renderAnnouncement();
+  }
+
+  // ================== Socket events ==================
+  socket.on('connect', () => {
+    connEl.textContent = 'live';
+    connEl.classList.add('ok');
+  });
+  socket.on('disconnect', () => {
+    connEl.textContent = 'disconnected';
+    connEl.classList.remove('ok');
+  });
+  socket.on('connect_error', (err) => {
+    // Session expired or signed out elsewhere → back to the sign-in page
+    if (err && err.message === 'unauthorized') window.location.reload();
+  });
+
+  socket.on('hello', (data) => {
+    modNameEl.textContent = data.name;
+    auditEl.replaceChildren();
+    for (const e of data.audit || []) addAudit(e);
+    state = data;
+    render();
+  });
+
+  socket.on('state', (data) => {
+    // Pushed every couple of seconds; only rebuild the tables when something changed
+    const json = JSON.stringify(data);
+    if (json === lastStateJson) return;
+    lastStateJson = json;
+    state = data;
+    render();
+  });
+
+  socket.on('audit', addAudit);
+
+  // ================== Forms ==================
+  announceForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = announceText.value.trim();
+    if (!text) return;
+    act('announce', { text, minutes: Number(announceMinutes.value) });
+    announceText.value = '';
+  });
+  announceClear.addEventListener('click', () => act('clearAnnouncement'));
+
+  releaseForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = releaseName.value.trim();
+    if (!name || !window.confirm(`Release “${name}”? Anyone can then use or claim it.`)) return;
+    act('releaseName', { name });
+    releaseName.value = '';
+  });
+})();
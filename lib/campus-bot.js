@@ -0,0 +1,209 @@
+// lib/campus-bot.js
+// A headless player for load tests. It connects like the browser client (polling
+// by default), picks a name, then wanders: walks to random points in its space,
+// goes in and out of rooms and subrooms, chats now and then and swings the bat.
+// Everything it measures lands in bot.stats; scripts/load-test.js adds them up.
+//
+//   const bot = createBot({ url: 'http://localhost:3000', name: 'Bot 1' });
+//   bot.start();
+//   bot.stats;   // { frames, bytes, stateAge[], chat[], bat[], drops, … }
+//   bot.stop();
+const { io } = require('socket.io-client');
+const SnapshotCodec = require('../public/snapshot-codec');
+const Avatar = require('../public/avatar');
+
+const CHAT_LINES = [
+  'hi everyone', 'anyone in the gym?', 'where is the media center', 'brb',
+  'nice mural', 'who wants to play tag', 'lol', 'see you in class'
+];
+
+const rand = (lo, hi) => lo + Math.random() * (hi - lo);
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+function createBot({
+  url,
+  name,
+  encoding = 'binary',          // 'binary' | 'json'
+  transports = ['polling'],     // same as the browser client
+  chatEveryMs = 15000,          // average gap between chat lines (0 = never chat)
+  batEveryMs = 3000,            // … between bat swings (0 = never swing)
+  moveEveryMs = 20000           // … between room/subroom changes (0 = stay on campus)
+} = {}) {
+  const stats = {
+    connected: false,
+    frames: 0, bytes: 0,        // 'state' frames received and their size on the wire
+    stateAge: [],               // ms from a frame's server time to its arrival
+    chat: [], bat: [],          // ms from emit to our own echo
+    rejected: 0,                // chatRejected / actionRejected / equipRejected / roomDenied
+    drops: 0,                   // disconnects we didn't ask for
+    connectErrors: 0,
+    kicked: null
+  };
+
+  let socket = null;
+  let world = null;
+  let me = null;                // my latest snapshot entry
+  let place = { roomId: null, subroomId: null };
+  let target = null;            // { x, y } we're walking to
+  let progress = { d: Infinity, at: 0 };
+  let lastInput = '';
+  let stopping = false;
+  const timers = new Set();
+  const pendingChat = new Map(); // text -> sent at
+  const pendingBat = new Map();  // aid -> sent at
+  let seq = 0;
+  const decoder = SnapshotCodec.createDecoder();
+
+  /** Run fn at random intervals averaging everyMs (0 = never) */
+  function every(everyMs, fn) {
+    if (!everyMs) return;
+    const t = setTimeout(() => {
+      timers.delete(t);
+      if (!stopping) { fn(); every(everyMs, fn); }
+    }, rand(0.5, 1.5) * everyMs);
+    timers.add(t);
+  }
+
+  function spaceSize() {
+    const room = place.roomId ? (world.rooms || []).find(r => r.id === place.roomId) : null;
+    const sub = room && place.subroomId ? (room.subrooms || []).find(s => s.id === place.subroomId) : null;
+    const interior = sub ? sub.interior : room ? room.interior : null;
+    return interior ? { w: interior.w || 1100, h: interior.h || 700 } : { w: world.width || 3200, h: world.height || 2000 };
+  }
+
+  function position() {
+    if (!me) return null;
+    return me.roomId ? { x: me.rx || 0, y: me.ry || 0 } : { x: me.x, y: me.y };
+  }
+
+  function newTarget() {
+    const { w, h } = spaceSize();
+    target = { x: rand(40, w - 40), y: rand(40, h - 40) };
+    progress = { d: Infinity, at: Date.now() };
+  }
+
+  /** Steer toward the target; a new one when we get there or stop getting closer (walls) */
+  function walk() {
+    const at = position();
+    if (!at || !world) return;
+    if (!target) newTarget();
+    const dx = target.x - at.x, dy = target.y - at.y;
+    const d = Math.hypot(dx, dy);
+    const now = Date.now();
+    if (d < progress.d - 4) progress = { d, at: now };
+    if (d < 20 || now - progress.at > 1500) newTarget();
+    // Like the browser, only send input when a "key" changes
+    const input = { left: dx < -8, right: dx > 8, up: dy < -8, down: dy > 8 };
+    const key = JSON.stringify(input);
+    if (key !== lastInput) { lastInput = key; socket.emit('input', input); }
+  }
+
+  function changePlace() {
+    const open = (list) => (list || []).filter(r => !r.locked);
+    if (!place.roomId) {
+      const room = pick(open(world.rooms));
+      if (room) socket.emit('enterRoom', { roomId: room.id });
+    } else if (!place.subroomId && Math.random() < 0.5) {
+      const room = (world.rooms || []).find(r => r.id === place.roomId);
+      const sub = pick(open(room && room.subrooms));
+      if (sub) socket.emit('enterSubroom', { roomId: room.id, subroomId: sub.id });
+      else socket.emit('leaveRoom');
+    } else {
+      socket.emit('leaveRoom');
+    }
+  }
+
+  function say() {
+    const text = `${pick(CHAT_LINES)} #${++seq}`; // numbered, so the repeat filter lets it through
+    pendingChat.set(text, Date.now());
+    socket.emit('chat', text);
+  }
+
+  function swing() {
+    const at = position();
+    if (!at) return;
+    const aid = `${name}-${++seq}`;
+    pendingBat.set(aid, Date.now());
+    socket.emit('action', { kind: 'bat', aid, target: { x: at.x + rand(-80, 80), y: at.y + rand(-80, 80) } });
+  }
+
+  function onState(frame) {
+    const now = Date.now();
+    stats.frames++;
+    stats.bytes += Buffer.isBuffer(frame) ? frame.length : Buffer.byteLength(JSON.stringify(frame));
+    const state = decoder.apply(Buffer.isBuffer(frame) ? SnapshotCodec.decodeBinary(frame) : frame);
+    if (!state) return; // deltas before our first keyframe
+    if (state.t) stats.stateAge.push(now - state.t);
+    me = state.players.find(p => p.id === socket.id) || me;
+  }
+
+  function start() {
+    socket = io(url, { transports, forceNew: true, reconnection: false });
+
+    socket.on('init', (init) => {
+      world = init.world;
+      decoder.reset();
+      const snap = init.snapshot;
+      if (encoding === 'binary' && snap && snap.version === SnapshotCodec.VERSION && (snap.encodings || []).includes('binary')) {
+        socket.emit('snapshotEncoding', { encoding: 'binary' });
+      }
+      socket.emit('join', { name, look: { ...Avatar.random(), hat: pick(Avatar.HATS).id } });
+      socket.emit('equipKind', { kind: 'bat' });
+    });
+    socket.on('connect', () => { stats.connected = true; });
+    socket.on('connect_error', () => { stats.connectErrors++; });
+    socket.on('disconnect', (reason) => {
+      stats.connected = false;
+      if (!stopping) stats.drops++;
+      if (reason === 'io server disconnect' && !stats.kicked) stats.kicked = 'server';
+    });
+    socket.on('kicked', ({ reason } = {}) => { stats.kicked = reason || 'kicked'; });
+
+    socket.on('state', onState);
+    socket.on('worldUpdated', ({ world: w } = {}) => { if (w) world = w; });
+    socket.on('roomChanged', ({ roomId, subroomId } = {}) => {
+      place = { roomId: roomId || null, subroomId: subroomId || null };
+      target = null;
+      socket.emit('equipKind', { kind: 'bat' }); // toy rules may have taken it away
+    });
+
+    socket.on('chatMessage', (m) => {
+      if (!m || m.fromId !== socket.id || !pendingChat.has(m.text)) return;
+      stats.chat.push(Date.now() - pendingChat.get(m.text));
+      pendingChat.delete(m.text);
+    });
+    socket.on('action', (a) => {
+      if (!a || !pendingBat.has(a.aid)) return;
+      stats.bat.push(Date.now() - pendingBat.get(a.aid));
+      pendingBat.delete(a.aid);
+    });
+    for (const ev of ['chatRejected', 'actionRejected', 'equipRejected', 'roomDenied']) {
+      socket.on(ev, (m) => {
+        stats.rejected++;
+        if (m && m.aid) pendingBat.delete(m.aid);
+      });
+    }
+
+    timers.add(setInterval(walk, 100));
+    every(chatEveryMs, say);
+    every(batEveryMs, swing);
+    every(moveEveryMs, changePlace);
+    // Echoes that never come (moderated, out of range…) shouldn't pile up
+    timers.add(setInterval(() => {
+      const old = Date.now() - 10000;
+      for (const pending of [pendingChat, pendingBat]) {
+        for (const [k, t] of pending) if (t < old) pending.delete(k);
+      }
+    }, 5000));
+  }
+
+  function stop() {
+    stopping = true;
+    for (const t of timers) { clearTimeout(t); clearInterval(t); }
+    if (socket) socket.disconnect();
+  }
+
+  return { start, stop, stats, name };
+}
+
+module.exports = { createBot };
@@ -0,0 +1,461 @@
+// lib/campus-schema.js
+// campus.json format: lenient parsing (comments), line-accurate locations,
+// schema validation against campus.schema.json and geometric sanity checks.
+// Used by server.js on (re)load and by `npm run lint-campus`.
+
+const SCHEMA = require('./campus.schema.json');
+
+const MAX_HOTKEY_SUBROOMS = 9;   // client hotkeys 1–9
+const RESERVED_SUBROOM_IDS = ['lobby'];
+const ENTITY_RADIUS = { ball: 12 }; // matches server.js
+
+// ------------------------------ Parsing ------------------------------
+/** Strip // and /* *\/ comments from JSON for leniency */
+function stripJsonComments(str) {
+  if (typeof str !== 'string') return str;
+  let s = str.replace(/\/\*[\s\S]*?\*\//g, '');
+  s = s.replace(/(^|[^:\\])\/\/.*$/gm, '$1');
+  return s.trim();
+}
+
+/** Append a key or index to a display path: rooms[3].interior.w */
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${base}[${JSON.stringify(key)}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Parse JSON-with-comments and remember where every value starts.
+ * Returns { data, locations } where locations maps a path to { line, col }.
+ * Throws a SyntaxError carrying .line/.col on bad input.
+ */
+function parseWithLocations(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const locations = new Map();
+  let i = 0, line = 1, col = 1;
+
+  function fail(msg) {
+    const e = new SyntaxError(`${msg} at line ${line}, column ${col}`);
+    e.line = line; e.col = col;
+    throw e;
+  }
+  function advance(n = 1) {
+    for (let k = 0; k < n && i < src.length; k++, i++) {
+      if (src[i] === '\n') { line++; col = 1; } else col++;
+    }
+  }
+  function skipWs() {
+    for (;;) {
+      const c = src[i];
+      if (c === ' ' || c === '\t' || c === '\n' || c === '\r') { advance(); continue; }
+      if (c === '/' && src[i + 1] === '/') { while (i < src.length && src[i] !== '\n') advance(); continue; }
+      if (c === '/' && src[i + 1] === '*') {
+        advance(2);
+        while (i < src.length && !(src[i] === '*' && src[i + 1] === '/')) advance();
+        if (i >= src.length) fail('Unterminated comment');
+        advance(2);
+        continue;
+      }
+      return;
+    }
+  }
+  function expect(ch) {
+    skipWs();
+    if (src[i] !== ch) fail(`Expected '${ch}' but found ${src[i] ? `'${src[i]}'` : 'end of file'}`);
+    advance();
+  }
+
+  function parseString() {
+    const start = i;
+    advance(); // opening quote
+    while (i < src.length && src[i] !== '"') {
+      if (src[i] === '\n') fail('Unterminated string');
+      advance(src[i] === '\\' ? 2 : 1);
+    }
+    if (i >= src.length) fail('Unterminated string');
+    advance();
+    try { return JSON.parse(src.slice(start, i)); } catch { fail('Invalid string escape'); }
+  }
+
+  const NUM = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  function parseValue(path) {
+    skipWs();
+    locations.set(path, { line, col });
+    const c = src[i];
+    if (c === '{') return parseObject(path);
+    if (c === '[') return parseArray(path);
+    if (c === '"') return parseString();
+    for (const [word, val] of [['true', true], ['false', false], ['null', null]]) {
+      if (src.startsWith(word, i)) { advance(word.length); return val; }
+    }
+    NUM.lastIndex = i;
+    const m = NUM.exec(src);
+    if (m) { advance(m[0].length); return Number(m[0]); }
+    fail(c === undefined ? 'Unexpected end of file' : `Unexpected '${c}'`);
+  }
+
+  function parseObject(path) {
+    const obj = {};
+    advance(); // {
+    skipWs();
+    if (src[i] === '}') { advance(); return obj; }
+    for (;;) {
+      skipWs();
+      if (src[i] !== '"') fail(src[i] === '}' ? 'Trailing comma' : 'Expected a "quoted" property name');
+      const key = parseString();
+      expect(':');
+      obj[key] = parseValue(joinPath(path, key));
+      skipWs();
+      if (src[i] === ',') { advance(); continue; }
+      if (src[i] === '}') { advance(); return obj; }
+      fail(`Expected ',' or '}' but found ${src[i] ? `'${src[i]}'` : 'end of file'}`);
+    }
+  }
+
+  function parseArray(path) {
+    const arr = [];
+    advance(); // [
+    skipWs();
+    if (src[i] === ']') { advance(); return arr; }
+    for (;;) {
+      arr.push(parseValue(joinPath(path, arr.length)));
+      skipWs();
+      if (src[i] === ',') { advance(); skipWs(); if (src[i] === ']') fail('Trailing comma'); continue; }
+      if (src[i] === ']') { advance(); return arr; }
+      fail(`Expected ',' or ']' but found ${src[i] ? `'${src[i]}'` : 'end of file'}`);
+    }
+  }
+
+  const data = parseValue('');
+  skipWs();
+  if (i < src.length) fail(`Unexpected '${src[i]}' after the end of the map`);
+  return { data, locations };
+}
+
+/** Find the closest recorded location for a path (falls back to its parents) */
+function locate(locations, path) {
+  let p = path;
+  for (;;) {
+    if (locations.has(p)) return locations.get(p);
+    if (!p) return null;
+    const cut = Math.max(p.lastIndexOf('.'), p.lastIndexOf('['));
+    p = cut > 0 ? p.slice(0, cut) : '';
+  }
+}
+
+// ------------------------------ Schema ------------------------------
+// Interprets the draft-07 subset campus.schema.json uses:
+// type, enum, required, properties, additionalProperties, items,
+// minLength, pattern, exclusiveMinimum, minimum, $ref.
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+function resolveRef(ref) {
+  const parts = ref.replace(/^#\//, '').split('/');
+  let node = SCHEMA;
+  for (const k of parts) node = node?.[k];
+  if (!node) throw new Error(`campus.schema.json: bad $ref ${ref}`);
+  return node;
+}
+
+function checkSchema(value, schema, path, report) {
+  if (schema.$ref) schema = { ...resolveRef(schema.$ref), ...schema, $ref: undefined };
+  const where = path || '(root)';
+  const t = typeOf(value);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report.error(path, `${where} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return;
+  }
+  if (schema.type) {
+    const ok = schema.type === 'number' ? (t === 'number' && Number.isFinite(value)) : t === schema.type;
+    if (!ok) { report.error(path, `${where} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type} (got ${t})`); return; }
+  }
+
+  if (t === 'number') {
+    if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) report.error(path, `${where} must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.minimum !== undefined && value < schema.minimum) report.error(path, `${where} must be at least ${schema.minimum}`);
+  }
+  if (t === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) report.error(path, `${where} must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) report.error(path, `${where} "${value}" must match ${schema.pattern}`);
+  }
+  if (t === 'array' && schema.items) {
+    value.forEach((v, i) => checkSchema(v, schema.items, joinPath(path, i), report));
+  }
+  if (t === 'object') {
+    for (const k of (schema.required || [])) {
+      if (!(k in value)) report.error(path, `${where} is missing required "${k}"`);
+    }
+    const props = schema.properties || {};
+    for (const [k, v] of Object.entries(value)) {
+      const sub = joinPath(path, k);
+      if (props[k]) checkSchema(v, props[k], sub, report);
+      else if (schema.additionalProperties === false) report.warn(sub, `unknown property "${k}" in ${where} (typo?)`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') checkSchema(v, schema.additionalProperties, sub, report);
+    }
+  }
+}
+
+// ------------------------------ Geometry ------------------------------
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isRect = (r) => !!r && isNum(r.x) && isNum(r.y) && isNum(r.w) && isNum(r.h);
+const isPoint = (p) => !!p && isNum(p.x) && isNum(p.y);
+const sameRect = (a, b) => a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h;
+const overlaps = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+function circleHitsRect(p, r, o) {
+  const cx = Math.max(o.x, Math.min(o.x + o.w, p.x));
+  const cy = Math.max(o.y, Math.min(o.y + o.h, p.y));
+  return (p.x - cx) ** 2 + (p.y - cy) ** 2 < r * r;
+}
+
+function describeRoom(r, i) { return r && typeof r.id === 'string' ? `room "${r.id}"` : `rooms[${i}]`; }
+
+/** "capacity" (room queues) and rules.maxOccupancy (room rules) mean the same thing; only one should be set */
+function checkCapacity(place, path, label, report) {
+  if (place.capacity !== undefined && place.rules && place.rules.maxOccupancy !== undefined) {
+    report.warn(`${path}.capacity`, `${label} sets both "capacity" and "rules.maxOccupancy"; "capacity" wins, so drop one`);
+  }
+}
+
+/** Check a spawn/door point: inside the space and not inside a solid rect */
+function checkPoint(pt, path, what, bounds, solids, radius, report) {
+  if (!isPoint(pt)) return; // schema already reported it
+  if (pt.x < 0 || pt.y < 0 || pt.x > bounds.w || pt.y > bounds.h) {
+    report.warn(path, `${what} (${pt.x}, ${pt.y}) is outside the ${bounds.w}×${bounds.h} area; the server will use a default`);
+    return;
+  }
+  const hit = solids.find(o => isRect(o) && circleHitsRect(pt, radius, o));
+  if (hit) report.warn(path, `${what} (${pt.x}, ${pt.y}) overlaps ${hit.label ? `"${String(hit.label).replace(/\n/g, ' ')}"` : 'a solid rect'}; players will be nudged out`);
+}
+
+function interiorSolids(interior) {
+  return (interior?.objects || []).filter(o => isRect(o) && (!o.type || o.type === 'rect') && o.solid !== false);
+}
+
+function checkInterior(interior, path, label, report) {
+  if (!interior || !isNum(interior.w) || !isNum(interior.h)) return;
+  (interior.objects || []).forEach((o, i) => {
+    if (!isRect(o)) return;
+    const p = joinPath(joinPath(path, 'objects'), i);
+    const name = o.label ? `"${o.label}"` : `objects[${i}]`;
+    if (o.x >= interior.w || o.y >= interior.h || o.x + o.w <= 0 || o.y + o.h <= 0) {
+      report.error(p, `${label}: ${name} is entirely outside the ${interior.w}×${interior.h} interior`);
+    } else if (o.x < 0 || o.y < 0 || o.x + o.w > interior.w || o.y + o.h > interior.h) {
+      report.warn(p, `${label}: ${name} extends outside the ${interior.w}×${interior.h} interior`);
+    }
+  });
+}
+
+/** Check an "entities" list: inside the space, clear of walls, ids unique across the map */
+function checkEntities(list, path, label, bounds, solids, ids, report) {
+  (Array.isArray(list) ? list : []).forEach((e, i) => {
+    if (!e || !isPoint(e)) return;
+    const p = joinPath(joinPath(path, 'entities'), i);
+    const what = `${label} ${e.id ? `"${e.id}"` : `entities[${i}]`}`;
+    if (typeof e.id === 'string') {
+      if (ids.has(e.id)) report.error(`${p}.id`, `${what}: duplicate entity id (also ${ids.get(e.id)})`);
+      else ids.set(e.id, p);
+    }
+    if (e.x < 0 || e.y < 0 || e.x > bounds.w || e.y > bounds.h) {
+      report.warn(p, `${what} (${e.x}, ${e.y}) is outside the ${bounds.w}×${bounds.h} area; the server will move it inside`);
+      return;
+    }
+    const hit = solids.find(o => isRect(o) && circleHitsRect(e, ENTITY_RADIUS[e.type] || 12, o));
+    if (hit) report.warn(p, `${what} (${e.x}, ${e.y}) overlaps ${hit.label ? `"${String(hit.label).replace(/\n/g, ' ')}"` : 'a solid rect'}; it will be nudged out`);
+  });
+}
+
+function checkGeometry(c, report, radius) {
+  const W = isNum(c.width) ? c.width : 3200, H = isNum(c.height) ? c.height : 2000;
+  const obstacles = Array.isArray(c.obstacles) ? c.obstacles : [];
+  const rooms = Array.isArray(c.rooms) ? c.rooms : [];
+  const campusSolids = obstacles.filter(o => isRect(o) && o.solid !== false);
+
+  obstacles.forEach((o, i) => {
+    if (!isRect(o)) return;
+    const name = o.label ? `"${String(o.label).replace(/\n/g, ' ')}"` : `obstacles[${i}]`;
+    if (o.x >= W || o.y >= H || o.x + o.w <= 0 || o.y + o.h <= 0) {
+      report.warn(`obstacles[${i}]`, `building ${name} is entirely off the ${W}×${H} map`);
+    } else if (o.x < 0 || o.y < 0 || o.x + o.w > W || o.y + o.h > H) {
+      report.warn(`obstacles[${i}]`, `building ${name} extends past the ${W}×${H} map edge`);
+    }
+  });
+
+  checkPoint(c.spawn, 'spawn', 'campus spawn', { w: W, h: H }, campusSolids, radius, report);
+  const entityIds = new Map();
+  checkEntities(c.entities, '', 'campus entity', { w: W, h: H }, campusSolids, entityIds, report);
+
+  // Areas: unique ids, on the map
+  const areaIds = new Map();
+  (Array.isArray(c.areas) ? c.areas : []).forEach((a, i) => {
+    if (!a || !isRect(a)) return;
+    const p = `areas[${i}]`;
+    if (typeof a.id === 'string') {
+      if (areaIds.has(a.id)) report.error(`${p}.id`, `duplicate area id "${a.id}" (also areas[${areaIds.get(a.id)}])`);
+      else areaIds.set(a.id, i);
+    }
+    if (a.x >= W || a.y >= H || a.x + a.w <= 0 || a.y + a.h <= 0) {
+      report.warn(p, `area "${a.id}" is entirely off the ${W}×${H} map, so its rules never apply`);
+    }
+  });
+
+  // Rooms: ids, enter rects, interiors, subrooms
+  const roomIds = new Map();
+  rooms.forEach((r, i) => {
+    if (!r || typeof r !== 'object') return;
+    const path = `rooms[${i}]`;
+    const label = describeRoom(r, i);
+
+    if (typeof r.id === 'string') {
+      if (roomIds.has(r.id)) report.error(`${path}.id`, `duplicate room id "${r.id}" (also rooms[${roomIds.get(r.id)}])`);
+      else roomIds.set(r.id, i);
+    }
+
+    if (isRect(r.enter) && !obstacles.some(o => isRect(o) && sameRect(o, r.enter))) {
+      report.error(`${path}.enter`, `${label}: enter rect doesn't match any obstacle, so the building can't be entered`);
+    }
+    checkPoint(r.door, `${path}.door`, `${label} door`, { w: W, h: H }, campusSolids, radius, report);
+    checkCapacity(r, path, label, report);
+
+    if (r.interior && isNum(r.interior.w) && isNum(r.interior.h)) {
+      checkInterior(r.interior, `${path}.interior`, label, report);
+      checkPoint(r.interior.spawn, `${path}.interior.spawn`, `${label} lobby spawn`, r.interior, interiorSolids(r.interior), radius, report);
+      checkEntities(r.interior.entities, `${path}.interior`, `${label} entity`, r.interior, interiorSolids(r.interior), entityIds, report);
+    }
+
+    const subs = Array.isArray(r.subrooms) ? r.subrooms : [];
+    if (subs.length > MAX_HOTKEY_SUBROOMS) {
+      report.warn(`${path}.subrooms`, `${label} has ${subs.length} subrooms; only the first ${MAX_HOTKEY_SUBROOMS} are reachable with the 1–9 hotkeys`);
+    }
+    const subIds = new Map();
+    subs.forEach((sr, j) => {
+      if (!sr || typeof sr !== 'object') return;
+      const sp = `${path}.subrooms[${j}]`;
+      const slabel = `${label} subroom "${sr.id}"`;
+      if (typeof sr.id === 'string') {
+        if (RESERVED_SUBROOM_IDS.includes(sr.id)) report.error(`${sp}.id`, `${label}: subroom id "${sr.id}" is reserved`);
+        if (subIds.has(sr.id)) report.error(`${sp}.id`, `${label}: duplicate subroom id "${sr.id}" (also subrooms[${subIds.get(sr.id)}])`);
+        else subIds.set(sr.id, j);
+      }
+      checkCapacity(sr, sp, slabel, report);
+      if (sr.interior && isNum(sr.interior.w) && isNum(sr.interior.h)) {
+        checkInterior(sr.interior, `${sp}.interior`, slabel, report);
+        checkPoint(sr.interior.spawn, `${sp}.interior.spawn`, `${slabel} spawn`, sr.interior, interiorSolids(sr.interior), radius, report);
+        checkEntities(sr.interior.entities, `${sp}.interior`, `${slabel} entity`, sr.interior, interiorSolids(sr.interior), entityIds, report);
+      }
+      if (r.interior && isNum(r.interior.w)) {
+        checkPoint(sr.door, `${sp}.door`, `${slabel} door`, r.interior, interiorSolids(r.interior), radius, report);
+      }
+    });
+  });
+
+  // Overlapping enter rects: hovering picks whichever building is listed first
+  const enters = rooms.map((r, i) => ({ r, i })).filter(({ r }) => r && isRect(r.enter));
+  for (let a = 0; a < enters.length; a++) {
+    for (let b = a + 1; b < enters.length; b++) {
+      const A = enters[a], B = enters[b];
+      if (overlaps(A.r.enter, B.r.enter)) {
+        report.warn(`rooms[${B.i}].enter`, `${describeRoom(B.r, B.i)} enter rect overlaps ${describeRoom(A.r, A.i)}`);
+      }
+    }
+  }
+
+  // Named spawns must point at real rooms/subrooms
+  if (c.spawns && typeof c.spawns === 'object' && !Array.isArray(c.spawns)) {
+    for (const [name, def] of Object.entries(c.spawns)) {
+      if (!def || typeof def !== 'object') continue;
+      const path = joinPath('spawns', name);
+      const room = def.roomId ? rooms.find(r => r && r.id === def.roomId) : null;
+      if (def.roomId && !room) { report.error(`${path}.roomId`, `spawn "${name}": unknown roomId "${def.roomId}"`); continue; }
+      if (def.subroomId && !def.roomId) { report.error(`${path}.subroomId`, `spawn "${name}": subroomId needs a roomId`); continue; }
+      const sub = def.subroomId ? (room.subrooms || []).find(s => s && s.id === def.subroomId) : null;
+      if (def.subroomId && !sub) { report.error(`${path}.subroomId`, `spawn "${name}": unknown subroomId "${def.subroomId}" in room "${def.roomId}"`); continue; }
+      const interior = sub ? sub.interior : room ? room.interior : null;
+      const bounds = interior && isNum(interior.w) ? interior : { w: W, h: H };
+      checkPoint(def, path, `spawn "${name}"`, bounds, interior ? interiorSolids(interior) : campusSolids, radius, report);
+    }
+  }
+
+  // NPCs: unique ids, real rooms, start and waypoints clear of walls
+  const npcIds = new Map();
+  (Array.isArray(c.npcs) ? c.npcs : []).forEach((n, i) => {
+    if (!n || typeof n !== 'object') return;
+    const path = `npcs[${i}]`;
+    const label = `NPC "${n.id}"`;
+    if (typeof n.id === 'string') {
+      if (npcIds.has(n.id)) report.error(`${path}.id`, `duplicate NPC id "${n.id}" (also npcs[${npcIds.get(n.id)}])`);
+      else npcIds.set(n.id, i);
+    }
+    const room = n.roomId ? rooms.find(r => r && r.id === n.roomId) : null;
+    if (n.roomId && !room) { report.error(`${path}.roomId`, `${label}: unknown roomId "${n.roomId}"`); return; }
+    if (n.subroomId && !n.roomId) { report.error(`${path}.subroomId`, `${label}: subroomId needs a roomId`); return; }
+    const sub = n.subroomId ? (room.subrooms || []).find(s => s && s.id === n.subroomId) : null;
+    if (n.subroomId && !sub) { report.error(`${path}.subroomId`, `${label}: unknown subroomId "${n.subroomId}" in room "${n.roomId}"`); return; }
+    const interior = sub ? sub.interior : room ? room.interior : null;
+    const bounds = interior && isNum(interior.w) ? interior : { w: W, h: H };
+    const solids = interior ? interiorSolids(interior) : campusSolids;
+    checkPoint(n, path, label, bounds, solids, radius, report);
+    (Array.isArray(n.patrol) ? n.patrol : []).forEach((pt, j) => {
+      checkPoint(pt, `${path}.patrol[${j}]`, `${label} waypoint ${j + 1}`, bounds, solids, radius, report);
+    });
+  });
+}
+
+// ------------------------------ Public API ------------------------------
+/**
+ * Validate a parsed campus map.
+ * @param {object} campus       parsed campus.json
+ * @param {object} [opts]
+ * @param {Map}    [opts.locations]    from parseWithLocations(), adds line/col to issues
+ * @param {number} [opts.playerRadius] radius used for "spawn inside a wall" checks
+ * @returns {{ errors: Array<{path,message,line?,col?}>, warnings: Array<{path,message,line?,col?}> }}
+ */
+function validateCampus(campus, opts = {}) {
+  const errors = [], warnings = [];
+  const radius = opts.playerRadius || 18;
+  const add = (list) => (path, message) => {
+    const loc = opts.locations ? locate(opts.locations, path) : null;
+    list.push({ path, message, ...(loc || {}) });
+  };
+  const report = { error: add(errors), warn: add(warnings) };
+
+  checkSchema(campus, SCHEMA, '', report);
+  if (campus && typeof campus === 'object' && !Array.isArray(campus)) checkGeometry(campus, report, radius);
+
+  const byLine = (a, b) => (a.line || 0) - (b.line || 0) || (a.col || 0) - (b.col || 0);
+  errors.sort(byLine); warnings.sort(byLine);
+  return { errors, warnings };
+}
+
+/** Parse + validate campus text. Syntax errors come back as a single error issue. */
+function lintCampusText(text, opts = {}) {
+  let parsed;
+  try {
+    parsed = parseWithLocations(text);
+  } catch (e) {
+    return { data: null, errors: [{ path: '', message: e.message.replace(/ at line \d+, column \d+$/, ''), line: e.line, col: e.col }], warnings: [] };
+  }
+  return { data: parsed.data, ...validateCampus(parsed.data, { ...opts, locations: parsed.locations }) };
+}
+
+/** "file:line:col severity message" */
+function formatIssue(issue, severity, file) {
+  const at = issue.line ? `${file}:${issue.line}:${issue.col}` : file;
+  return `${at}  ${severity.padEnd(7)} ${issue.message}`;
+}
+
+module.exports = {
+  SCHEMA,
+  MAX_HOTKEY_SUBROOMS,
+  stripJsonComments,
+  parseWithLocations,
+  validateCampus,
+  lintCampusText,
+  formatIssue
+};
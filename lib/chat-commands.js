@@ -0,0 +1,62 @@
+// lib/chat-commands.js
+// Slash-command registry for chat. Lines starting with "/" are dispatched here
+// instead of becoming bubbles; each command lives in one register() call.
+//
+//   const commands = createCommandRegistry();
+//   commands.register({
+//     name: 'roll', aliases: ['dice'], usage: '/roll [NdM]', help: 'Roll dice',
+//     role: 'player',                  // or 'mod': hidden from and refused to everyone else
+//     run(ctx, args) { ctx.reply('…'); }
+//   });
+//   await commands.dispatch(ctx, '/roll 2d6');   // ctx: { role, reply(text, kind), …anything run() needs }
+
+function createCommandRegistry() {
+  const commands = new Map(); // name -> def (registration order, for /help)
+  const lookup = new Map();   // name or alias -> def
+
+  function register(def) {
+    if (!def || !/^[a-z][a-z0-9]*$/.test(def.name) || typeof def.run !== 'function') {
+      throw new Error(`bad command definition: ${def && def.name}`);
+    }
+    const full = { aliases: [], usage: `/${def.name}`, help: '', role: 'player', ...def };
+    for (const n of [full.name, ...full.aliases]) {
+      if (lookup.has(n)) throw new Error(`command /${n} is already registered`);
+      lookup.set(n, full);
+    }
+    commands.set(full.name, full);
+    return full;
+  }
+
+  function allowed(def, role) { return def.role !== 'mod' || role === 'mod'; }
+
+  /** Commands this role may use, in registration order */
+  function list(role) { return Array.from(commands.values()).filter(d => allowed(d, role)); }
+
+  function parse(line) {
+    const m = /^\/(\S+)\s*([\s\S]*)$/.exec(String(line));
+    return m ? { name: m[1].toLowerCase(), args: m[2].trim() } : null;
+  }
+
+  /** Run a "/command args" line. Returns false if the line isn't a command. */
+  async function dispatch(ctx, line) {
+    const cmd = parse(line);
+    if (!cmd) return false;
+    const def = lookup.get(cmd.name);
+    // Mod-only commands look exactly like unknown ones to everyone else
+    if (!def || !allowed(def, ctx.role)) {
+      ctx.reply(`Unknown command /${cmd.name}. Type /help for the list.`, 'error');
+      return true;
+    }
+    try {
+      await def.run(ctx, cmd.args);
+    } catch (e) {
+      console.error(`[commands] /${def.name} failed:`, e);
+      ctx.reply(`/${def.name} failed.`, 'error');
+    }
+    return true;
+  }
+
+  return { register, dispatch, list, parse };
+}
+
+module.exports = { createCommandRegistry };
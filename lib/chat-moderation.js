@@ -0,0 +1,158 @@
+// lib/chat-moderation.js
+// Chat moderation pipeline: timed mutes, rate limiting with escalating
+// cooldowns, repeated-message (spam) detection and a word/regex blocklist.
+//
+//   const mod = createChatModerator(config);
+//   const state = mod.createState();          // one per player
+//   const verdict = mod.check(state, text);   // { ok, text } | { ok:false, reason, message, retryInMs }
+
+const DEFAULTS = {
+  // Rate limit: at most `max` messages per `windowMs`
+  rate: { max: 5, windowMs: 10000 },
+  // Same message again within `windowMs` (compared against the last `lookback` messages)
+  repeat: { lookback: 3, windowMs: 30000 },
+  // Each rate/repeat violation starts the next cooldown in this list (ms);
+  // violations older than decayMs are forgotten
+  cooldownsMs: [5000, 15000, 60000],
+  violationDecayMs: 10 * 60 * 1000,
+  // After this many live violations the player is muted for autoMuteMs
+  autoMuteAfter: 4,
+  autoMuteMs: 5 * 60 * 1000,
+  // Blocklist. words: whole-word, case-insensitive. patterns: regex strings or
+  // { pattern, flags?, action? }. action "mask" (default) stars out the match,
+  // "reject" drops the whole message.
+  blocklist: { words: [], patterns: [], mask: '*' }
+};
+
+function escapeRegExp(s) { return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+/** Normalize for repeat detection: case, spacing and trailing punctuation don't make a message new */
+function spamKey(text) {
+  return String(text).toLowerCase().normalize('NFKC').replace(/\s+/g, ' ').replace(/[!?.]+$/, '').trim();
+}
+
+function compileBlocklist(list) {
+  const rules = [];
+  const words = (list.words || []).map(w => String(w).trim()).filter(Boolean);
+  if (words.length) {
+    rules.push({ re: new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu'), action: 'mask' });
+  }
+  for (const p of (list.patterns || [])) {
+    const def = typeof p === 'string' ? { pattern: p } : p;
+    try {
+      const flags = Array.from(new Set(`${def.flags || 'i'}gu`)).join('');
+      rules.push({ re: new RegExp(def.pattern, flags), action: def.action === 'reject' ? 'reject' : 'mask' });
+    } catch (e) {
+      console.error(`[moderation] skipping bad blocklist pattern ${JSON.stringify(def.pattern)}: ${e.message}`);
+    }
+  }
+  return rules;
+}
+
+function createChatModerator(config = {}) {
+  const cfg = {
+    ...DEFAULTS,
+    ...config,
+    rate: { ...DEFAULTS.rate, ...(config.rate || {}) },
+    repeat: { ...DEFAULTS.repeat, ...(config.repeat || {}) },
+    blocklist: { ...DEFAULTS.blocklist, ...(config.blocklist || {}) }
+  };
+  const rules = compileBlocklist(cfg.blocklist);
+  const maskChar = String(cfg.blocklist.mask || '*').slice(0, 1) || '*';
+
+  function createState() {
+    return { sent: [], recent: [], violations: [], cooldownUntil: 0, mutedUntil: 0, muteReason: null };
+  }
+
+  function mute(state, ms, reason = null, now = Date.now()) {
+    state.mutedUntil = Math.max(state.mutedUntil, now + ms);
+    state.muteReason = reason;
+    return state.mutedUntil;
+  }
+
+  function unmute(state) {
+    state.mutedUntil = 0;
+    state.muteReason = null;
+    state.cooldownUntil = 0;
+    state.violations = [];
+  }
+
+  function isMuted(state, now = Date.now()) { return state.mutedUntil > now; }
+
+  /** Record a violation and start the next cooldown (or an auto-mute) */
+  function violation(state, now) {
+    state.violations = state.violations.filter(t => now - t < cfg.violationDecayMs);
+    state.violations.push(now);
+    const n = state.violations.length;
+    if (n >= cfg.autoMuteAfter) {
+      mute(state, cfg.autoMuteMs, 'auto', now);
+      state.violations = [];
+      return { muted: true, untilMs: cfg.autoMuteMs };
+    }
+    const ms = cfg.cooldownsMs[Math.min(n, cfg.cooldownsMs.length) - 1] || 0;
+    state.cooldownUntil = now + ms;
+    return { muted: false, untilMs: ms };
+  }
+
+  function reject(reason, message, retryInMs = 0) {
+    return { ok: false, reason, message, retryInMs: Math.max(0, Math.ceil(retryInMs)) };
+  }
+
+  function secs(ms) { return `${Math.ceil(ms / 1000)}s`; }
+
+  /** Mask (or reject) blocklisted content */
+  function filter(text) {
+    let out = text, masked = false;
+    for (const r of rules) {
+      r.re.lastIndex = 0;
+      if (!r.re.test(out)) continue;
+      if (r.action === 'reject') return { rejected: true };
+      r.re.lastIndex = 0;
+      out = out.replace(r.re, m => maskChar.repeat(Array.from(m).length));
+      masked = true;
+    }
+    return { text: out, masked };
+  }
+
+  function check(state, text, now = Date.now()) {
+    if (isMuted(state, now)) {
+      const left = state.mutedUntil - now;
+      return reject('muted', `You are muted for ${secs(left)}.`, left);
+    }
+    if (state.cooldownUntil > now) {
+      const left = state.cooldownUntil - now;
+      return reject('cooldown', `Slow down — you can chat again in ${secs(left)}.`, left);
+    }
+
+    // Rate limit
+    state.sent = state.sent.filter(t => now - t < cfg.rate.windowMs);
+    if (state.sent.length >= cfg.rate.max) {
+      const v = violation(state, now);
+      return v.muted
+        ? reject('muted', `Too many messages — you are muted for ${secs(v.untilMs)}.`, v.untilMs)
+        : reject('rate', `You're sending messages too fast. Wait ${secs(v.untilMs)}.`, v.untilMs);
+    }
+
+    // Repeated message
+    const key = spamKey(text);
+    state.recent = state.recent.filter(r => now - r.ts < cfg.repeat.windowMs);
+    if (state.recent.slice(-cfg.repeat.lookback).some(r => r.key === key)) {
+      const v = violation(state, now);
+      return v.muted
+        ? reject('muted', `Repeated spam — you are muted for ${secs(v.untilMs)}.`, v.untilMs)
+        : reject('repeat', `You already said that. Wait ${secs(v.untilMs)}.`, v.untilMs);
+    }
+
+    // Blocklist
+    const f = filter(text);
+    if (f.rejected) return reject('blocked', "That message isn't allowed here.");
+
+    state.sent.push(now);
+    state.recent.push({ key, ts: now });
+    return { ok: true, text: f.text, masked: f.masked };
+  }
+
+  return { config: cfg, createState, check, filter, mute, unmute, isMuted };
+}
+
+module.exports = { createChatModerator, DEFAULTS };
@@ -0,0 +1,81 @@
+// lib/collision.js
+// Circles against axis-aligned rects: players, NPCs and balls are circles, walls
+// and furniture are { x, y, w, h } rects, and every space is a w × h box.
+// Movement resolves one axis at a time so you slide along walls, and long moves
+// (knockback, kicks) are split into substeps so nothing tunnels through a wall.
+//
+//   const { moveCircle, resolveCircle } = require('./lib/collision');
+//   moveCircle(x, y, dx, dy, r, rects, { w, h });   // → { x, y, blockedX, blockedY }
+//   resolveCircle(x, y, r, rects, { w, h });        // → { x, y } out of walls and inside bounds
+
+const MAX_SUBSTEP_PX = 12;          // split fast moves so knockback can't tunnel
+
+/**
+ * Push a circle out of a rect. Returns the push vector, or null if not overlapping.
+ * If the center is inside the rect we push along the axis of least penetration.
+ */
+function circleRectPush(x, y, r, o) {
+  const ox = o.x || 0, oy = o.y || 0, ow = o.w || 0, oh = o.h || 0;
+  const cx = Math.max(ox, Math.min(ox + ow, x));
+  const cy = Math.max(oy, Math.min(oy + oh, y));
+  const dx = x - cx, dy = y - cy;
+  const d2 = dx*dx + dy*dy;
+  if (d2 >= r*r) return null;
+
+  if (d2 > 0) {
+    const d = Math.sqrt(d2);
+    return { x: dx / d * (r - d), y: dy / d * (r - d) };
+  }
+  // Center inside the rect
+  const left = x - ox, right = ox + ow - x, top = y - oy, bottom = oy + oh - y;
+  const m = Math.min(left, right, top, bottom);
+  if (m === left)  return { x: -(left + r), y: 0 };
+  if (m === right) return { x: right + r,   y: 0 };
+  if (m === top)   return { x: 0, y: -(top + r) };
+  return { x: 0, y: bottom + r };
+}
+
+/** Keep a circle inside bounds and out of every solid rect (a few passes for corners) */
+function resolveCircle(x, y, r, rects, bounds) {
+  for (let pass = 0; pass < 4; pass++) {
+    let moved = false;
+    for (const o of rects) {
+      const push = circleRectPush(x, y, r, o);
+      if (!push) continue;
+      x += push.x; y += push.y;
+      moved = true;
+    }
+    x = Math.max(r, Math.min(bounds.w - r, x));
+    y = Math.max(r, Math.min(bounds.h - r, y));
+    if (!moved) break;
+  }
+  return { x, y };
+}
+
+/**
+ * Move a circle by (dx,dy) with per-axis resolution so it slides along walls.
+ * Returns the new position and which axes were blocked.
+ */
+function moveCircle(x, y, dx, dy, r, rects, bounds) {
+  const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / MAX_SUBSTEP_PX));
+  const sx = dx / steps, sy = dy / steps;
+  let blockedX = false, blockedY = false;
+
+  for (let i = 0; i < steps; i++) {
+    if (sx) {
+      const want = x + sx;
+      const res = resolveCircle(want, y, r, rects, bounds);
+      if (Math.abs(res.x - want) > 1e-6) blockedX = true;
+      x = res.x; y = res.y;
+    }
+    if (sy) {
+      const want = y + sy;
+      const res = resolveCircle(x, want, r, rects, bounds);
+      if (Math.abs(res.y - want) > 1e-6) blockedY = true;
+      x = res.x; y = res.y;
+    }
+  }
+  return { x, y, blockedX, blockedY };
+}
+
+module.exports = { MAX_SUBSTEP_PX, circleRectPush, resolveCircle, moveCircle };
@@ -0,0 +1,134 @@
+// lib/minigame.js
+// Round-based minigames for a room lobby (GYM 353 …). Players opt in, a countdown
+// starts once enough have joined, then a timed round where hits count:
+//   tag        every hit scores a point; most points when the timer runs out wins
+//   dodgeball  a hit scores and knocks the victim out; the last one standing wins
+// The server feeds it hits and ticks and broadcasts view(); this module never touches sockets.
+//
+//   const game = createMinigame({ modes: ['tag', 'dodgeball'], roundSeconds: 90 });
+//   game.join(id, name, 'tag');   // { ok } | { ok:false, message }
+//   game.hit(fromId, victimId);   // true if it counted (both are in the running round)
+//   game.tick(now);               // 'started' | 'ended' | 'idle' | null (phase changes)
+
+const MODES = {
+  tag:       { name: 'Bat Tag',   eliminates: false },
+  dodgeball: { name: 'Dodgeball', eliminates: true }
+};
+
+function createMinigame({
+  modes = Object.keys(MODES),
+  roundSeconds = 90,
+  countdownSeconds = 10,
+  minPlayers = 2,
+  maxPlayers = 16,
+  resultsSeconds = 12
+} = {}) {
+  modes = modes.filter(m => MODES[m]);
+  if (!modes.length) modes = ['tag'];
+
+  let phase = 'idle';   // idle → lobby → countdown → running → results → idle
+  let mode = modes[0];
+  let until = 0;        // end of the countdown / round / results
+  let entrants = new Map(); // id -> { id, name, score, out, left }
+  let results = null;
+
+  const fail = (message) => ({ ok: false, message });
+  const stillIn = () => Array.from(entrants.values()).filter(p => !p.left && !p.out);
+
+  function reset() {
+    phase = 'idle';
+    until = 0;
+    entrants = new Map();
+    results = null;
+  }
+
+  function join(id, name, wanted, now = Date.now()) {
+    if (phase === 'running') return fail('A round is already running. Join the next one!');
+    if (phase === 'idle' || phase === 'results') {
+      if (wanted && !modes.includes(wanted)) return fail(`This room doesn't have ${MODES[wanted]?.name || wanted}.`);
+      reset();
+      mode = wanted || modes[0];
+      phase = 'lobby';
+    }
+    if (entrants.has(id)) return fail("You're already in this round.");
+    if (entrants.size >= maxPlayers) return fail(`This round is full (${maxPlayers} players).`);
+    entrants.set(id, { id, name, score: 0, out: false, left: false });
+    if (phase === 'lobby' && entrants.size >= minPlayers) {
+      phase = 'countdown';
+      until = now + countdownSeconds * 1000;
+    }
+    return { ok: true };
+  }
+
+  /** Drop out. Mid-round you stay on the scoreboard (marked as left). */
+  function leave(id) {
+    const p = entrants.get(id);
+    if (!p || p.left) return false;
+    if (phase === 'running') { p.left = true; return true; }
+    entrants.delete(id);
+    if (phase === 'countdown' && entrants.size < minPlayers) phase = 'lobby';
+    if (phase === 'lobby' && !entrants.size) reset();
+    return true;
+  }
+
+  /** In the running round and still in play (not out, not left) */
+  function playing(id) {
+    const p = entrants.get(id);
+    return phase === 'running' && !!p && !p.out && !p.left;
+  }
+
+  function hit(fromId, victimId) {
+    if (fromId === victimId || !playing(fromId) || !playing(victimId)) return false;
+    entrants.get(fromId).score++;
+    if (MODES[mode].eliminates) entrants.get(victimId).out = true;
+    return true;
+  }
+
+  function finish(now) {
+    // Dodgeball ranks whoever is still standing first; then most points
+    const down = (p) => (MODES[mode].eliminates && (p.out || p.left)) ? 1 : 0;
+    const ranking = Array.from(entrants.values()).sort((a, b) => down(a) - down(b) || b.score - a.score);
+    const top = ranking[0];
+    const winners = top && !top.left
+      ? ranking.filter(p => !p.left && down(p) === down(top) && p.score === top.score)
+      : [];
+    results = { ranking: ranking.map(p => ({ ...p })), winners: winners.map(p => p.id) };
+    phase = 'results';
+    until = now + resultsSeconds * 1000;
+  }
+
+  function tick(now = Date.now()) {
+    if (phase === 'countdown' && now >= until) {
+      phase = 'running';
+      until = now + roundSeconds * 1000;
+      return 'started';
+    }
+    if (phase === 'running' && (now >= until || stillIn().length < 2)) {
+      finish(now);
+      return 'ended';
+    }
+    if (phase === 'results' && now >= until) {
+      reset();
+      return 'idle';
+    }
+    return null;
+  }
+
+  /** Everything clients need to draw the panel and scoreboard */
+  function view() {
+    return {
+      phase,
+      mode,
+      modeName: MODES[mode].name,
+      modes: modes.map(id => ({ id, name: MODES[id].name })),
+      until,
+      minPlayers,
+      players: Array.from(entrants.values(), p => ({ ...p })),
+      results
+    };
+  }
+
+  return { join, leave, playing, hit, tick, view };
+}
+
+module.exports = { createMinigame, MODES };
@@ -0,0 +1,137 @@
+// lib/name-registry.js
+// Name ownership. Anyone can use a free name; a player can claim a name with a
+// passcode, after which it only works with that passcode. Claims live in a small
+// JSON file with scrypt-hashed passcodes.
+//
+// Names are compared by nameKey(), which folds case, spacing, accents and
+// look-alike characters, so "Lukas", "LUKAS", "Lu kas", "Lúkas" and "Lukаs"
+// (Cyrillic а) are all the same name.
+//
+//   const names = createNameRegistry({ file });
+//   names.isClaimed('Lukas');                              // true | false
+//   await names.claim('Lukas', 'hunter22');                // { ok } | { ok:false, code }
+//   await names.verify('Lukas', 'hunter22', session);      // { ok } | { ok:false, code } (requester: who's guessing)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Letters from other scripts that render like Latin ones (after NFKC + accent stripping)
+const CONFUSABLES = {
+  // Cyrillic
+  'А': 'a', 'а': 'a', 'В': 'b', 'Е': 'e', 'е': 'e', 'Ё': 'e', 'ё': 'e', 'Ѕ': 's', 'ѕ': 's',
+  'І': 'i', 'і': 'i', 'Ї': 'i', 'ї': 'i', 'Ј': 'j', 'ј': 'j', 'К': 'k', 'М': 'm', 'Н': 'h',
+  'О': 'o', 'о': 'o', 'Р': 'p', 'р': 'p', 'С': 'c', 'с': 'c', 'Т': 't', 'Х': 'x', 'х': 'x',
+  'У': 'y', 'у': 'y', 'Ү': 'y', 'ү': 'y', 'һ': 'h', 'ԁ': 'd', 'Ԛ': 'q', 'ԛ': 'q', 'Ԝ': 'w', 'ԝ': 'w',
+  // Greek
+  'Α': 'a', 'α': 'a', 'Β': 'b', 'Ε': 'e', 'ε': 'e', 'Ζ': 'z', 'Η': 'h', 'Ι': 'i', 'ι': 'i',
+  'Κ': 'k', 'κ': 'k', 'Μ': 'm', 'Ν': 'n', 'ν': 'v', 'Ο': 'o', 'ο': 'o', 'Ρ': 'p', 'ρ': 'p',
+  'Τ': 't', 'τ': 't', 'Υ': 'y', 'υ': 'u', 'Χ': 'x', 'χ': 'x',
+  // Latin oddities
+  'ı': 'i', 'ȷ': 'j', 'ɡ': 'g', 'ſ': 's', 'ℓ': 'l'
+};
+
+/** Comparison key for a display name: same key = same name for ownership/uniqueness */
+function nameKey(s = '') {
+  let k = String(s).normalize('NFKC').normalize('NFD').replace(/\p{M}/gu, '');
+  k = Array.from(k, c => CONFUSABLES[c] || c).join('').toLowerCase();
+  return k
+    .replace(/[\p{Cf}\p{Z}\s_\-'.]+/gu, '') // spacing, punctuation and invisible characters
+    .replace(/[1i|]/g, 'l')                 // I / l / 1
+    .replace(/0/g, 'o')
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w');
+}
+
+const SCRYPT_KEYLEN = 32;
+
+function hashPasscode(passcode, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(passcode), salt, SCRYPT_KEYLEN, (err, key) => err ? reject(err) : resolve(key));
+  });
+}
+
+function createNameRegistry({
+  file,
+  minPasscode = 4,
+  maxAttempts = 5,              // wrong passcodes per name and requester …
+  lockoutMs = 5 * 60 * 1000     // … before that requester is locked out of the name for this long
+} = {}) {
+  let claims = {};              // nameKey -> { name, salt, hash, claimedAt }
+  const failures = new Map();   // nameKey -> Map(requester -> [ts])
+  let writing = Promise.resolve();
+
+  function load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      claims = data && typeof data.names === 'object' ? data.names : {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`[names] could not read ${file}: ${e.message}`);
+      claims = {};
+    }
+  }
+
+  /** Write the whole file (temp + rename), one write at a time */
+  function save() {
+    const json = JSON.stringify({ version: 1, names: claims }, null, 2) + '\n';
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, json, { mode: 0o600 });
+      await fs.promises.rename(tmp, file);
+    }).catch(e => console.error(`[names] could not save ${file}: ${e.message}`));
+    return writing;
+  }
+
+  function isClaimed(name) { return Object.prototype.hasOwnProperty.call(claims, nameKey(name)); }
+
+  async function claim(name, passcode) {
+    const key = nameKey(name);
+    if (!key) return { ok: false, code: 'invalid' };
+    if (isClaimed(name)) return { ok: false, code: 'taken' };
+    if (typeof passcode !== 'string' || passcode.length < minPasscode) return { ok: false, code: 'weak_passcode' };
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await hashPasscode(passcode, salt)).toString('hex');
+    if (isClaimed(name)) return { ok: false, code: 'taken' }; // claimed while we were hashing
+    claims[key] = { name, salt, hash, claimedAt: Date.now() };
+    await save();
+    return { ok: true };
+  }
+
+  /**
+   * Check a passcode. Wrong guesses lock out only the requester that made them (the
+   * server passes the player's session token), so nobody can lock the owner out of their name.
+   */
+  async function verify(name, passcode, requester = '', now = Date.now()) {
+    const key = nameKey(name);
+    const c = claims[key];
+    if (!c) return { ok: false, code: 'not_claimed' };
+    const byRequester = failures.get(key) || new Map();
+    const recent = (byRequester.get(requester) || []).filter(t => now - t < lockoutMs);
+    if (recent.length >= maxAttempts) return { ok: false, code: 'locked', retryInMs: lockoutMs - (now - recent[0]) };
+    const got = await hashPasscode(passcode || '', c.salt);
+    if (crypto.timingSafeEqual(got, Buffer.from(c.hash, 'hex'))) {
+      byRequester.delete(requester);
+      if (!byRequester.size) failures.delete(key);
+      return { ok: true };
+    }
+    recent.push(now);
+    byRequester.set(requester, recent);
+    failures.set(key, byRequester);
+    return { ok: false, code: 'bad_passcode' };
+  }
+
+  /** Drop a claim (moderators, e.g. for a forgotten passcode) */
+  async function release(name) {
+    const key = nameKey(name);
+    if (!claims[key]) return false;
+    delete claims[key];
+    failures.delete(key);
+    await save();
+    return true;
+  }
+
+  load();
+  return { isClaimed, claim, verify, release, minPasscode, get size() { return Object.keys(claims).length; } };
+}
+
+module.exports = { createNameRegistry, nameKey };
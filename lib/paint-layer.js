@@ -0,0 +1,91 @@
+// lib/paint-layer.js
+// Paint that stays: strokes left by the paint toy, kept per space (campus, room
+// lobby, subroom) and saved to a JSON file so murals survive a restart. Each
+// space holds at most maxPoints points; the oldest strokes make room for new ones.
+//
+//   const paint = createPaintLayer({ file });
+//   paint.add('room:art', { name, color, width, points: [x0, y0, x1, y1, …] });  // → stored stroke (with id)
+//   paint.strokes('room:art');   // every stroke there, oldest first
+//   paint.clear('room:art');     // → number of strokes removed
+const fs = require('fs');
+const path = require('path');
+
+function createPaintLayer({
+  file,
+  maxPoints = 20000,   // per space
+  saveDelayMs = 2000   // strokes arrive in bursts; write at most this often
+} = {}) {
+  let spaces = {};              // space -> [{ id, name, color, width, points, ts }]
+  const points = new Map();     // space -> points held
+  let nextId = 1;
+  let saveTimer = null;
+  let writing = Promise.resolve();
+
+  const countPoints = (list) => list.reduce((n, s) => n + s.points.length / 2, 0);
+
+  function load() {
+    if (!file) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      spaces = data && typeof data.spaces === 'object' ? data.spaces : {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`[paint] could not read ${file}: ${e.message}`);
+      spaces = {};
+    }
+    for (const [space, list] of Object.entries(spaces)) {
+      points.set(space, countPoints(list));
+      for (const s of list) nextId = Math.max(nextId, s.id + 1);
+    }
+  }
+
+  /** Write the whole file (temp + rename), one write at a time */
+  function save() {
+    const json = JSON.stringify({ version: 1, spaces });
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, json);
+      await fs.promises.rename(tmp, file);
+    }).catch(e => console.error(`[paint] could not save ${file}: ${e.message}`));
+    return writing;
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => { saveTimer = null; save(); }, saveDelayMs);
+  }
+
+  function strokes(space) { return spaces[space] || []; }
+
+  function add(space, { name = null, color, width, points: pts }) {
+    const n = pts.length / 2;
+    if (!n || n > maxPoints) return null;
+    const stroke = { id: nextId++, name, color, width, points: pts, ts: Date.now() };
+    const list = spaces[space] || (spaces[space] = []);
+    list.push(stroke);
+    let held = (points.get(space) || 0) + n;
+    while (held > maxPoints) held -= list.shift().points.length / 2;
+    points.set(space, held);
+    scheduleSave();
+    return stroke;
+  }
+
+  function clear(space) {
+    const n = strokes(space).length;
+    if (!n) return 0;
+    delete spaces[space];
+    points.delete(space);
+    scheduleSave();
+    return n;
+  }
+
+  /** Spaces that have paint: [{ space, strokes, points }] */
+  function summary() {
+    return Object.entries(spaces).map(([space, list]) => ({ space, strokes: list.length, points: points.get(space) || 0 }));
+  }
+
+  load();
+  return { strokes, add, clear, summary, maxPoints };
+}
+
+module.exports = { createPaintLayer };
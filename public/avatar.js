@@ -0,0 +1,60 @@
+// avatar.js
+// Shared by server.js (require) and client.js (window.Avatar).
+// What a player looks like: body color, a hat or accessory, and the color of the
+// name tag over their head. The editor offers exactly these; the server accepts nothing else.
+//
+//   const look = Avatar.sanitize({ color: '#22C55E', hat: 'crown' });  // → { color: '#22c55e', hat: 'crown', tagColor: '#e8ecff' }
+//   Avatar.random();                                                   // what you look like before you pick
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Avatar = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Bright hues around the wheel, then pastels, then neutrals
+  const BODY_COLORS = [
+    '#ef4444', '#f97316', '#f59e0b', '#eab308', '#84cc16', '#22c55e',
+    '#10b981', '#14b8a6', '#06b6d4', '#0ea5e9', '#3b82f6', '#6366f1',
+    '#8b5cf6', '#a855f7', '#d946ef', '#ec4899', '#f43f5e', '#fca5a5',
+    '#fdba74', '#fde68a', '#bef264', '#86efac', '#7dd3fc', '#7dafff',
+    '#c4b5fd', '#f9a8d4', '#f5f5f4', '#9ca3af', '#4b5563', '#92400e'
+  ];
+
+  // Readable on the dark campus; the first is the default
+  const TAG_COLORS = ['#e8ecff', '#ffd166', '#9be7c4', '#9fc4ff', '#ffb4b4', '#d9c6ff', '#fdba74', '#67e8f9'];
+
+  // null = bare head
+  const HATS = [
+    { id: 'cap',        name: 'Cap' },
+    { id: 'beanie',     name: 'Beanie' },
+    { id: 'tophat',     name: 'Top hat' },
+    { id: 'crown',      name: 'Crown' },
+    { id: 'party',      name: 'Party hat' },
+    { id: 'bow',        name: 'Bow' },
+    { id: 'headphones', name: 'Headphones' },
+    { id: 'glasses',    name: 'Glasses' }
+  ];
+
+  const pickColor = (list, v) => {
+    const c = typeof v === 'string' ? v.toLowerCase() : '';
+    return list.includes(c) ? c : null;
+  };
+
+  /** Keep only valid choices; anything missing or unknown comes from fallback (then the defaults) */
+  function sanitize(look, fallback) {
+    const l = look && typeof look === 'object' ? look : {};
+    const f = fallback || {};
+    const hat = l.hat === null || l.hat === 'none' ? null
+      : HATS.some(h => h.id === l.hat) ? l.hat
+      : (f.hat !== undefined ? f.hat : null);
+    return {
+      color: pickColor(BODY_COLORS, l.color) || f.color || BODY_COLORS[0],
+      hat,
+      tagColor: pickColor(TAG_COLORS, l.tagColor) || f.tagColor || TAG_COLORS[0]
+    };
+  }
+
+  function random() {
+    return { color: BODY_COLORS[Math.floor(Math.random() * BODY_COLORS.length)], hat: null, tagColor: TAG_COLORS[0] };
+  }
+
+  return { BODY_COLORS, TAG_COLORS, HATS, sanitize, random };
+});
@@ -1,10 +1,13 @@
 (() => {
   // ================== Socket.IO (force polling for school Wi-Fi) ==================
+  // Session token from 'init' (per tab): a refresh or Wi-Fi drop resumes the same player
+  const SESSION_KEY = 'campusSession';
   const socket = io('/', {
     transports: ['polling'],
     upgrade: false,
     path: '/socket.io',
-    withCredentials: true
+    withCredentials: true,
+    auth: (cb) => cb({ session: sessionStorage.getItem(SESSION_KEY) || undefined })
   });
 
   // ================== DOM ==================
@@ -15,10 +18,32 @@
   const nameModal = document.getElementById('nameModal');
   const nameForm  = document.getElementById('nameForm');
   const nameInput = document.getElementById('nameInput');
+  const passInput = document.getElementById('passInput');
+  const claimInput = document.getElementById('claimInput');
+  const nameErrorEl = document.getElementById('nameError');
+  const avatarPreview = document.getElementById('avatarPreview');
+  const bodySwatches  = document.getElementById('bodySwatches');
+  const hatChoices    = document.getElementById('hatChoices');
+  const tagSwatches   = document.getElementById('tagSwatches');
+  const avatarButton  = document.getElementById('avatarButton');
 
   const chatForm  = document.getElementById('chatForm');
   const chatInput = document.getElementById('chatInput');
 
+  const chatPanel  = document.getElementById('chatPanel');
+  const chatToggle = document.getElementById('chatToggle');
+  const chatTitle  = document.getElementById('chatTitle');
+  const chatLogEl  = document.getElementById('chatLog');
+  const chatUnread = document.getElementById('chatUnread');
+  const chatNotice = document.getElementById('chatNotice');
+
+  const announceEl = document.getElementById('announcement');
+
+  const emoteWheel  = document.getElementById('emoteWheel');
+  const emoteButton = document.getElementById('emoteButton');
+
+  const gamePanel = document.getElementById('gamePanel');
+
   const dpad = document.getElementById('dpad');
 
   // Helper: is the name modal open?
@@ -46,6 +71,7 @@
 
   // Toys list (server may override)
   let TOYS = ['bat','cake','pizza','mic','book','flag','laptop','ball','paint'];
+  let TOY_COOLDOWN_MS = {}; // kind -> ms between uses (server sends them; it enforces them too)
 
   // Server snapshots for interpolation
   let lastState = { t: 0, players: [] };
@@ -53,10 +79,23 @@
   let interpTime = 0;
   const SERVER_TICK_MS = 50;
 
+  // Snapshot protocol: keyframes + deltas, rebuilt into full state here.
+  // Binary by default; add ?snap=json to the URL to debug with plain JSON frames.
+  const snapDecoder = SnapshotCodec.createDecoder();
+  const SNAP_ENCODING = (new URLSearchParams(location.search).get('snap') === 'json' || typeof TextDecoder === 'undefined')
+    ? 'json' : 'binary';
+
   // Spaces
   let currentRoomId = null;
   let currentSubroomId = null;
 
+  // Headcounts for every room/subroom (snapshots only carry my own space), and rooms moderators closed
+  let occupancy = { rooms: {}, subrooms: {}, closed: [] };
+
+  // Room lines: the full room I was last turned away from (J waits for it), and the line I'm in
+  let lastFullRoom = null;  // { roomId, subroomId }
+  let queuedFor = null;     // { roomId, subroomId, position }
+
   // Cameras
   let camX = 0, camY = 0;                 // campus camera
   let roomCamX = 0, roomCamY = 0;         // interior camera
@@ -68,14 +107,14 @@
     mouseX = (e.clientX - r.left) * (canvas.width / r.width);
     mouseY = (e.clientY - r.top)  * (canvas.height / r.height);
   });
-  let clickZones = []; // {x,y,w,h,onClick, tag}
+  let clickZones = []; // {x,y,w,h,onClick(sx, sy), tag}
   canvas.addEventListener('click', (e) => {
     const r = canvas.getBoundingClientRect();
     const sx = (e.clientX - r.left) * (canvas.width / r.width);
     const sy = (e.clientY - r.top)  * (canvas.height / r.height);
     for (const cz of clickZones) {
       if (sx >= cz.x && sx <= cz.x + cz.w && sy >= cz.y && sy <= cz.y + cz.h) {
-        cz.onClick?.();
+        cz.onClick?.(sx, sy);
         break;
       }
     }
@@ -90,18 +129,50 @@
 
   socket.on('connect', () => {
     setStatus(true, 'Connected (polling)');
-    // Auto-join with saved name on every connect (fixes "everyone is Penguin")
+    // Auto-join with saved name and look on every connect (fixes "everyone is Penguin")
     const saved = (localStorage.getItem('campusName') || '').trim();
     if (saved) {
       nameInput.value = saved;
-      socket.emit('join', saved);
+      socket.emit('join', { name: saved, look });
       nameModal.style.display = 'none';
     } else {
       nameModal.style.display = 'flex';
     }
   });
-  socket.on('disconnect',   () => setStatus(false, 'Disconnected'));
-  socket.on('connect_error',() => setStatus(false, 'Connect error'));
+  socket.on('disconnect',   () => { if (!kickedMessage) setStatus(false, 'Disconnected'); });
+  socket.on('connect_error', (err) => {
+    if (err && err.message === 'banned') {
+      const until = err.data && err.data.until ? new Date(err.data.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : null;
+      setStatus(false, until ? `Banned until ${until}` : 'Banned');
+      socket.disconnect(); // stop retrying
+      return;
+    }
+    setStatus(false, 'Connect error');
+  });
+
+  // Removed by a moderator (or the server): say why, and don't auto-rejoin
+  let kickedMessage = null;
+  socket.on('kicked', ({ reason } = {}) => {
+    sessionStorage.removeItem(SESSION_KEY);
+    const [kind, arg, ...rest] = String(reason || '').split(':');
+    if (kind === 'banned') kickedMessage = `You were banned for ${arg}${rest.length ? ` — ${rest.join(':')}` : ''}`;
+    else if (kind === 'session_replaced') kickedMessage = 'You joined from another tab or window';
+    else if (kind === 'kicked') kickedMessage = `A moderator removed you${arg ? ` — ${[arg, ...rest].join(':')}` : ''}`;
+    else kickedMessage = 'You were disconnected by the server';
+    setStatus(false, kickedMessage);
+    showAnnouncement({ text: `${kickedMessage}. Reload the page to come back.` }, 'kicked');
+  });
+
+  // ================== Announcements (moderators) ==================
+  let announceTimer = null;
+  function showAnnouncement(a, kind) {
+    clearTimeout(announceTimer);
+    if (!a || !a.text) { announceEl.classList.add('hidden'); return; }
+    announceEl.textContent = a.text;
+    announceEl.className = `announcement${kind ? ' ' + kind : ''}`;
+    if (a.until) announceTimer = setTimeout(() => announceEl.classList.add('hidden'), Math.max(0, a.until - Date.now()));
+  }
+  socket.on('announcement', (a) => { if (!kickedMessage) showAnnouncement(a); });
 
   // ================== Load campus.json (authoritative for map layout) ==================
   // If this loads, we prefer its obstacles/rooms over any server defaults.
@@ -153,13 +224,50 @@
     chatInput.addEventListener('focus', () => chatForm.classList.add('open'));
     chatInput.addEventListener('blur',  () => chatForm.classList.remove('open'));
 
-    // Space / E: USE toy
+    // H: toggle chat history panel
+    if (e.code === 'KeyH' && document.activeElement !== chatInput) {
+      setChatPanelOpen(chatPanel.classList.contains('collapsed'));
+      return;
+    }
+
+    // Space / E: USE toy (E talks instead when an NPC is in reach)
     if ((e.code === 'Space' || e.code === 'KeyE') && document.activeElement !== chatInput) {
       e.preventDefault();
+      if (e.code === 'KeyE' && talkToNpc()) return;
       useToy();
       return;
     }
 
+    // Emote wheel: R toggles, 1..6 pick while it's open, Escape closes it
+    if (document.activeElement !== chatInput) {
+      if (e.code === 'KeyR') { toggleEmoteWheel(); return; }
+      const n = /^Digit([1-6])$/.exec(e.code);
+      if (n && (e.shiftKey || emoteWheelOpen())) {
+        e.preventDefault();
+        sendEmote(EMOTES[Number(n[1]) - 1].id);
+        return;
+      }
+      if (e.code === 'Escape' && emoteWheelOpen()) { closeEmoteWheel(); return; }
+    }
+
+    // G: join / leave the minigame round in this lobby
+    if (e.code === 'KeyG' && document.activeElement !== chatInput && game) {
+      toggleGame();
+      return;
+    }
+
+    // M: show / hide the minimap
+    if (e.code === 'KeyM' && document.activeElement !== chatInput) {
+      toggleMinimap();
+      return;
+    }
+
+    // J: wait in line for a full room (or leave the line)
+    if (e.code === 'KeyJ' && document.activeElement !== chatInput && (queuedFor || lastFullRoom)) {
+      toggleQueue();
+      return;
+    }
+
     // Escape / Q: leave room to campus
     if (e.code === 'Escape' || e.code === 'KeyQ') {
       socket.emit('leaveRoom');
@@ -195,6 +303,7 @@
     const dir = keyMap.get(e.code);
     if (dir) {
       if (!input[dir]) { input[dir] = true; sendInput(); }
+      if (getMe()?.pose === 'sit') showSitHint();
       return;
     }
   });
@@ -229,36 +338,377 @@
     e.stopPropagation(); // avoid bubbling to document keydown
     const nm = (nameInput.value || '').trim();
     if (!nm) return;
-    socket.emit('join', nm);                 // send name to server
+    const passcode = passInput.value;
+    // Passcode only matters for claimed names (or to claim this one)
+    saveLook(draftLook);
+    socket.emit('join', passcode || claimInput.checked ? { name: nm, look, passcode, claim: claimInput.checked } : { name: nm, look });
     localStorage.setItem('campusName', nm);  // persist
-    // Hide now; server will also confirm via 'profile'
+    // Hide now; server confirms via 'profile' or reopens us with 'nameError'
     nameModal.style.display = 'none';
   });
 
   // Receive server confirmation of my profile (name)
   socket.on('profile', (p) => {
     if (!p || p.id !== meId) return;
+    if (p.look) saveLook(p.look); // what the server accepted
     if (p.name) {
       localStorage.setItem('campusName', p.name);
       nameInput.value = p.name;
+      passInput.value = '';
+      claimInput.checked = false;
+      nameErrorEl.classList.add('hidden');
+      nameModal.style.display = 'none';
+    }
+  });
+
+  // Name refused (in use, claimed, wrong passcode…): back to the modal with the reason
+  socket.on('nameError', ({ code, name, message } = {}) => {
+    if (name) nameInput.value = name;
+    nameErrorEl.textContent = message || 'That name is not available.';
+    nameErrorEl.classList.remove('hidden');
+    nameModal.style.display = 'flex';
+    passInput.value = '';
+    if (code === 'passcode_required' || code === 'bad_passcode' || code === 'weak_passcode') {
+      passInput.focus();
+    } else {
+      nameInput.focus();
+      nameInput.select();
+    }
+  });
+
+  // ================== Hats (avatar.js lists them; the server checks them) ==================
+  // How far each one sticks up above the head, so the name tag sits above it
+  const HAT_HEIGHT = { cap: 4, beanie: 9, tophat: 16, crown: 10, party: 18, bow: 4, headphones: 3, glasses: 0 };
+
+  function drawHat(g, hat, x, by, r, top) {
+    g.save();
+    g.lineWidth = 1.5;
+    g.strokeStyle = 'rgba(0,0,0,0.55)';
+    const shape = (fill, draw) => { g.beginPath(); draw(); g.fillStyle = fill; g.fill(); g.stroke(); };
+    switch (hat) {
+      case 'cap':
+        shape('#2563eb', () => g.ellipse(x, top + r * 0.35, r * 0.78, r * 0.6, 0, Math.PI, 0));
+        shape('#1d4ed8', () => g.rect(x, top + r * 0.25, r * 1.05, 4));
+        break;
+      case 'beanie':
+        shape('#dc2626', () => g.ellipse(x, top + r * 0.4, r * 0.82, r * 0.7, 0, Math.PI, 0));
+        shape('#fca5a5', () => g.rect(x - r * 0.82, top + r * 0.25, r * 1.64, 5));
+        shape('#fef2f2', () => g.arc(x, top - r * 0.35, 4, 0, Math.PI * 2));
+        break;
+      case 'tophat':
+        shape('#111827', () => g.rect(x - r * 0.5, top - r * 0.85, r, r * 0.95));
+        shape('#b91c1c', () => g.rect(x - r * 0.5, top - r * 0.12, r, 4));
+        shape('#111827', () => g.rect(x - r * 0.85, top + r * 0.08, r * 1.7, 4));
+        break;
+      case 'crown':
+        shape('#facc15', () => {
+          const b = top + r * 0.25, w = r * 0.62, h = r * 0.8;
+          g.moveTo(x - w, b); g.lineTo(x - w, b - h * 0.7); g.lineTo(x - w / 2, b - h * 0.35);
+          g.lineTo(x, b - h); g.lineTo(x + w / 2, b - h * 0.35); g.lineTo(x + w, b - h * 0.7);
+          g.lineTo(x + w, b); g.closePath();
+        });
+        break;
+      case 'party':
+        shape('#a855f7', () => { g.moveTo(x - r * 0.5, top + r * 0.25); g.lineTo(x + r * 0.5, top + r * 0.25); g.lineTo(x, top - r); g.closePath(); });
+        shape('#fde047', () => g.arc(x, top - r, 3.5, 0, Math.PI * 2));
+        break;
+      case 'bow':
+        shape('#ec4899', () => {
+          const cx = x + r * 0.45, cy = top + r * 0.2;
+          g.moveTo(cx, cy); g.lineTo(cx - 9, cy - 6); g.lineTo(cx - 9, cy + 6); g.closePath();
+          g.moveTo(cx, cy); g.lineTo(cx + 9, cy - 6); g.lineTo(cx + 9, cy + 6); g.closePath();
+        });
+        break;
+      case 'headphones':
+        g.beginPath(); g.arc(x, by, r + 3, Math.PI * 1.08, Math.PI * 1.92);
+        g.lineWidth = 4; g.strokeStyle = '#374151'; g.stroke();
+        g.lineWidth = 1.5; g.strokeStyle = 'rgba(0,0,0,0.55)';
+        shape('#4b5563', () => g.rect(x - r - 5, by - 9, 7, 13));
+        shape('#4b5563', () => g.rect(x + r - 2, by - 9, 7, 13));
+        break;
+      case 'glasses':
+        g.lineWidth = 2; g.strokeStyle = '#111827';
+        g.beginPath(); g.arc(x - r * 0.38, by - r * 0.15, r * 0.27, 0, Math.PI * 2); g.stroke();
+        g.beginPath(); g.arc(x + r * 0.38, by - r * 0.15, r * 0.27, 0, Math.PI * 2); g.stroke();
+        g.beginPath(); g.moveTo(x - r * 0.11, by - r * 0.15); g.lineTo(x + r * 0.11, by - r * 0.15); g.stroke();
+        break;
+    }
+    g.restore();
+  }
+
+  // ================== Avatar editor (in the name modal) ==================
+  // Saved next to campusName and sent with every 'join'; the server checks it against avatar.js.
+  const LOOK_KEY = 'campusLook';
+  let look = loadLook();
+  let draftLook = { ...look };  // what the editor shows until the form is sent
+
+  function loadLook() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LOOK_KEY) || 'null');
+      if (saved) return Avatar.sanitize(saved);
+    } catch { /* ignore a broken entry */ }
+    return Avatar.random();
+  }
+
+  function saveLook(l) {
+    look = Avatar.sanitize(l, look);
+    draftLook = { ...look };
+    localStorage.setItem(LOOK_KEY, JSON.stringify(look));
+  }
+
+  function choiceButton(parent, key, value, { color, label }) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.dataset.value = value === null ? '' : value;
+    b.title = label;
+    b.setAttribute('aria-label', label);
+    if (color) { b.className = 'swatch'; b.style.background = color; }
+    else { b.className = 'hat-choice'; b.textContent = label; }
+    b.addEventListener('click', () => { draftLook[key] = value; refreshAvatarEditor(); });
+    parent.appendChild(b);
+  }
+
+  for (const c of Avatar.BODY_COLORS) choiceButton(bodySwatches, 'color', c, { color: c, label: `Body ${c}` });
+  for (const h of [{ id: null, name: 'None' }, ...Avatar.HATS]) choiceButton(hatChoices, 'hat', h.id, { label: h.name });
+  for (const c of Avatar.TAG_COLORS) choiceButton(tagSwatches, 'tagColor', c, { color: c, label: `Name tag ${c}` });
+
+  function refreshAvatarEditor() {
+    for (const [el, key] of [[bodySwatches, 'color'], [hatChoices, 'hat'], [tagSwatches, 'tagColor']]) {
+      for (const b of el.children) b.setAttribute('aria-pressed', String(b.dataset.value === (draftLook[key] || '')));
+    }
+    // Preview at 2× for sharp edges on any screen
+    const g = avatarPreview.getContext('2d');
+    g.setTransform(2, 0, 0, 2, 0, 0);
+    g.clearRect(0, 0, avatarPreview.width, avatarPreview.height);
+    const w = avatarPreview.width / 2, h = avatarPreview.height / 2;
+    const top = drawFigure(g, w / 2, h - 28, 18, 18, draftLook, false);
+    drawNameTag(g, (nameInput.value || '').trim() || 'You', w / 2, top - 10, draftLook.tagColor);
+  }
+  nameInput.addEventListener('input', refreshAvatarEditor);
+
+  function openNameModal() {
+    draftLook = { ...look };
+    refreshAvatarEditor();
+    nameErrorEl.classList.add('hidden');
+    nameModal.style.display = 'flex';
+    nameInput.focus();
+  }
+  avatarButton.addEventListener('click', openNameModal);
+
+  // Escape closes the editor without changes once you're on campus
+  nameModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && localStorage.getItem('campusName')) {
+      draftLook = { ...look };
       nameModal.style.display = 'none';
     }
   });
+  refreshAvatarEditor();
 
   // ================== Chat ==================
   const CHAT_DURATION_MS = 5000;
   let localEcho = null; // show my chat instantly while waiting for echo back
+  const COMMAND_RE = /^\/(?!\/)/;
   chatForm.addEventListener('submit', (e) => {
     e.preventDefault();
     const txt = (chatInput.value || '').trim();
     if (txt.length) {
       socket.emit('chat', txt);
-      localEcho = { text: txt, ts: Date.now() };
+      // Commands (/w, /who, …) aren't bubbles; "//text" is chat that starts with "/"
+      if (!COMMAND_RE.test(txt)) localEcho = { text: txt.replace(/^\/\//, '/'), ts: Date.now() };
       chatInput.value = '';
     }
     chatInput.blur();
   });
 
+  // ================== Chat history panel ==================
+  // Server keeps a log per space (campus / room / subroom) and replays it when we enter.
+  const CHAT_PANEL_MAX = 100;
+  let chatUnreadCount = 0;
+
+  function setChatPanelOpen(open) {
+    chatPanel.classList.toggle('collapsed', !open);
+    chatToggle.setAttribute('aria-expanded', String(open));
+    localStorage.setItem('chatPanelOpen', open ? '1' : '0');
+    if (open) {
+      chatUnreadCount = 0;
+      updateChatUnread();
+      chatLogEl.scrollTop = chatLogEl.scrollHeight;
+    }
+  }
+  function updateChatUnread() {
+    chatUnread.textContent = chatUnreadCount > 99 ? '99+' : String(chatUnreadCount);
+    chatUnread.classList.toggle('hidden', chatUnreadCount === 0);
+  }
+  chatToggle.addEventListener('click', () => setChatPanelOpen(chatPanel.classList.contains('collapsed')));
+  setChatPanelOpen(localStorage.getItem('chatPanelOpen') === '1');
+
+  function spaceTitle(roomId, subroomId) {
+    if (!roomId) return 'Campus';
+    const room = getRoomById(roomId);
+    const sr = subroomId ? (room?.subrooms || []).find(s => s.id === subroomId) : null;
+    return `${room?.name || roomId}${sr ? ' → ' + sr.name : ''}`;
+  }
+
+  function formatClock(ts) {
+    const d = new Date(clock.toClientTime(ts));
+    return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  }
+
+  function chatLine(m) {
+    const li = document.createElement('li');
+    li.dataset.id = m.id;
+    if (m.fromId === meId) li.classList.add('me');
+    if ((m.mentions || []).includes(meId)) li.classList.add('mention');
+    if (m.kind) li.classList.add(`kind-${m.kind}`); // 'me' (/me), 'roll' (/roll) or 'npc'
+    const time = document.createElement('span'); time.className = 'time'; time.textContent = formatClock(m.ts);
+    const who  = document.createElement('span'); who.className = 'who';
+    who.textContent = m.kind === 'me' ? `* ${m.name}` : m.kind === 'roll' ? `🎲 ${m.name}` : m.kind === 'npc' ? `💬 ${m.name}` : m.name;
+    const text = document.createElement('span'); text.className = 'text';
+    // @name tokens get their own span so they can be styled
+    for (const part of String(m.text).split(/((?:^|(?<=\s))@\S+)/)) {
+      if (!part) continue;
+      if (part.startsWith('@')) {
+        const at = document.createElement('span'); at.className = 'at'; at.textContent = part;
+        text.appendChild(at);
+      } else {
+        text.appendChild(document.createTextNode(part));
+      }
+    }
+    li.append(time, who, text);
+    return li;
+  }
+
+  /** Private line in the panel: "Ann → you" / "you → Ann" */
+  function whisperLine(w) {
+    const li = document.createElement('li');
+    li.className = 'whisper';
+    const mine = w.fromId === meId;
+    const time = document.createElement('span'); time.className = 'time'; time.textContent = formatClock(w.ts);
+    const who  = document.createElement('span'); who.className = 'who';
+    who.textContent = mine ? `you → ${w.toName}` : `${w.fromName} → you`;
+    const text = document.createElement('span'); text.className = 'text'; text.textContent = w.text;
+    li.append(time, who, text);
+    return li;
+  }
+
+  function appendChatLines(messages) {
+    const atBottom = chatLogEl.scrollHeight - chatLogEl.scrollTop - chatLogEl.clientHeight < 24;
+    chatLogEl.querySelector('.empty')?.remove();
+    for (const m of messages) chatLogEl.appendChild(chatLine(m));
+    while (chatLogEl.children.length > CHAT_PANEL_MAX) chatLogEl.firstChild.remove();
+    if (atBottom) chatLogEl.scrollTop = chatLogEl.scrollHeight;
+  }
+
+  socket.on('chatHistory', ({ roomId, subroomId, messages } = {}) => {
+    chatTitle.textContent = spaceTitle(roomId, subroomId);
+    chatLogEl.textContent = '';
+    bubbles.clear(); // new space: nobody here has said anything to us yet
+    chatUnreadCount = 0;
+    updateChatUnread();
+    if (!messages || !messages.length) {
+      const li = document.createElement('li'); li.className = 'empty'; li.textContent = 'No messages here yet.';
+      chatLogEl.appendChild(li);
+      return;
+    }
+    appendChatLines(messages);
+    chatLogEl.scrollTop = chatLogEl.scrollHeight;
+  });
+
+  /** Local-only line in the history panel (not from another player) */
+  function appendSystemLine(text, kind) {
+    const li = document.createElement('li');
+    li.className = `sys${kind ? ' ' + kind : ''}`;
+    li.textContent = text;
+    const atBottom = chatLogEl.scrollHeight - chatLogEl.scrollTop - chatLogEl.clientHeight < 24;
+    chatLogEl.querySelector('.empty')?.remove();
+    chatLogEl.appendChild(li);
+    if (atBottom) chatLogEl.scrollTop = chatLogEl.scrollHeight;
+  }
+
+  let chatNoticeTimer = null;
+  function showChatNotice(text, ms = 4000, kind = '') {
+    chatNotice.textContent = text;
+    chatNotice.className = `chat-notice${kind ? ' ' + kind : ''}`;
+    clearTimeout(chatNoticeTimer);
+    chatNoticeTimer = setTimeout(() => chatNotice.classList.add('hidden'), ms);
+  }
+
+  // Moderation refused my message: drop the optimistic bubble and say why
+  socket.on('chatRejected', ({ message, retryInMs } = {}) => {
+    localEcho = null;
+    const text = message || 'Your message was not sent.';
+    showChatNotice(text, Math.min(Math.max(retryInMs || 0, 3000), 8000));
+    appendSystemLine(text, 'warn');
+  });
+
+  // Bubbles come with the chat line itself: the server only sends it to players in earshot
+  const bubbles = new Map(); // playerId -> { text, ts (local receive time), shout, mention }
+  function bubbleText(m) {
+    if (m.kind === 'me') return `* ${m.name} ${m.text}`;
+    if (m.kind === 'roll') return `🎲 ${m.text}`;
+    return m.text;
+  }
+
+  socket.on('chatMessage', (m) => {
+    if (!m) return;
+    appendChatLines([m]);
+    const mention = m.fromId !== meId && (m.mentions || []).includes(meId);
+    for (const [id, b] of bubbles) if (Date.now() - b.ts > CHAT_DURATION_MS) bubbles.delete(id);
+    bubbles.set(m.fromId, { text: bubbleText(m), ts: Date.now(), shout: !!m.shout, mention });
+    if (m.fromId === meId) localEcho = null;
+    if (chatPanel.classList.contains('collapsed') && m.fromId !== meId) {
+      chatUnreadCount++;
+      updateChatUnread();
+    }
+    if (mention) playPing();
+  });
+
+  // Replies to chat commands: only for me, never a bubble
+  socket.on('systemMessage', ({ text, kind } = {}) => {
+    if (!text) return;
+    appendSystemLine(text, kind === 'error' ? 'warn' : '');
+    if (chatPanel.classList.contains('collapsed')) {
+      const first = text.split('\n')[0];
+      showChatNotice(text.includes('\n') ? `${first} (more in the chat panel: H)` : text, 5000, kind === 'error' ? '' : 'info');
+    }
+  });
+
+  socket.on('whisper', (w) => {
+    if (!w) return;
+    const atBottom = chatLogEl.scrollHeight - chatLogEl.scrollTop - chatLogEl.clientHeight < 24;
+    chatLogEl.querySelector('.empty')?.remove();
+    chatLogEl.appendChild(whisperLine(w));
+    if (atBottom) chatLogEl.scrollTop = chatLogEl.scrollHeight;
+    if (w.fromId === meId) return;
+    if (chatPanel.classList.contains('collapsed')) {
+      chatUnreadCount++;
+      updateChatUnread();
+      showChatNotice(`${w.fromName} whispers: ${w.text}`, 6000, 'whisper');
+    }
+    playPing();
+  });
+
+  // Short two-tone chime for mentions and whispers (WebAudio, no asset to load)
+  let audioCtx = null;
+  function playPing() {
+    try {
+      audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+      if (audioCtx.state === 'suspended') audioCtx.resume();
+      const t0 = audioCtx.currentTime;
+      [880, 1320].forEach((freq, i) => {
+        const osc = audioCtx.createOscillator();
+        const gain = audioCtx.createGain();
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0.0001, t0 + i * 0.09);
+        gain.gain.exponentialRampToValueAtTime(0.15, t0 + i * 0.09 + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, t0 + i * 0.09 + 0.18);
+        osc.connect(gain).connect(audioCtx.destination);
+        osc.start(t0 + i * 0.09);
+        osc.stop(t0 + i * 0.09 + 0.2);
+      });
+    } catch {}
+  }
+
   // ================== Clock sync (align animations across clients) ==================
   const clock = (() => {
     // Maintain rolling offset estimate: clientNow - serverNow
@@ -280,36 +730,99 @@
   })();
 
   // ================== Server events ==================
+  // Merge worlds carefully:
+  // - If campus.json loaded, we prefer its obstacles/rooms (fixes "custom buildings")
+  // - We still accept width/height from the server if present.
+  function mergeServerWorld(serverWorld) {
+    if (campusWorld) {
+      const { width, height } = serverWorld;
+      world = {
+        ...campusWorld,
+        ...(typeof width === 'number' ? { width } : {}),
+        ...(typeof height === 'number' ? { height } : {})
+      };
+    } else {
+      // No campus.json yet → take server world for now (will be overridden once campus.json loads)
+      world = { ...serverWorld };
+    }
+  }
+
   socket.on('init', (payload) => {
     meId = payload.id;
     radius = payload.radius || 18;
 
-    // Merge worlds carefully:
-    // - If campus.json loaded, we prefer its obstacles/rooms (fixes "custom buildings")
-    // - We still accept width/height from the server if present.
-    if (payload.world) {
-      if (campusWorld) {
-        const { width, height } = payload.world;
-        world = {
-          ...campusWorld,
-          ...(typeof width === 'number' ? { width } : {}),
-          ...(typeof height === 'number' ? { height } : {})
-        };
-      } else {
-        // No campus.json yet → take server world for now (will be overridden once campus.json loads)
-        world = { ...payload.world };
-      }
-    }
+    if (payload.session && payload.session.token) sessionStorage.setItem(SESSION_KEY, payload.session.token);
+    if (payload.resumed && payload.resumed.name) setStatus(true, `Connected (polling) · welcome back, ${payload.resumed.name}`);
+
+    if (payload.world) mergeServerWorld(payload.world);
 
     if (Array.isArray(payload.toys)) TOYS = payload.toys;
+    if (payload.toyCooldowns) TOY_COOLDOWN_MS = payload.toyCooldowns;
+    if (payload.travelCooldownMs) TRAVEL_COOLDOWN_MS = payload.travelCooldownMs;
+
+    // Negotiate snapshot encoding (older servers send plain { t, players } and no 'snapshot' info)
+    snapDecoder.reset();
+    const snap = payload.snapshot;
+    if (snap && snap.version === SnapshotCodec.VERSION && (snap.encodings || []).includes(SNAP_ENCODING)) {
+      socket.emit('snapshotEncoding', { encoding: SNAP_ENCODING });
+    }
+  });
+
+  // campus.json was edited on the server: it is now the newest layout, so it replaces our copy.
+  // (If our room vanished, the server follows up with 'roomChanged'.)
+  socket.on('worldUpdated', (payload) => {
+    if (!payload || !payload.world) return;
+    campusWorld = payload.world;
+    mergeServerWorld(payload.world);
+  });
+
+  // Couldn't go in (closed by a moderator, locked, full…). Full rooms keep a line: J joins it.
+  socket.on('roomDenied', ({ roomId, subroomId, message, queueable } = {}) => {
+    lastFullRoom = queueable ? { roomId, subroomId: subroomId || null } : null;
+    if (queuedFor && queuedFor.roomId === roomId && (queuedFor.subroomId || null) === (subroomId || null)) queuedFor = null;
+    showChatNotice(`${message || "You can't go in there right now."}${queueable ? ' Press J to wait in line.' : ''}`, queueable ? 6000 : 4000);
+  });
+
+  socket.on('roomQueued', ({ roomId, subroomId, position } = {}) => {
+    queuedFor = { roomId, subroomId: subroomId || null, position };
+    showChatNotice(`You're #${position} in line for ${spaceTitle(roomId, subroomId)}. Press J to leave the line.`, 8000, 'info');
   });
 
+  function toggleQueue() {
+    if (queuedFor) {
+      socket.emit('leaveQueue');
+      showChatNotice(`You left the line for ${spaceTitle(queuedFor.roomId, queuedFor.subroomId)}.`, 3000, 'info');
+      queuedFor = null;
+    } else if (lastFullRoom) {
+      const { roomId, subroomId } = lastFullRoom;
+      if (subroomId) socket.emit('enterSubroom', { roomId, subroomId, queue: true });
+      else socket.emit('enterRoom', { roomId, queue: true });
+    }
+  }
+
   socket.on('roomChanged', ({ roomId, subroomId }) => {
     currentRoomId = roomId || null;
     currentSubroomId = subroomId || null;
+    queuedFor = null; // the server drops my line when I change space (or lets me in)
+    lastFullRoom = null;
   });
 
-  socket.on('state', (s) => {
+  socket.on('occupancy', (o) => {
+    if (o && typeof o === 'object') occupancy = { rooms: o.rooms || {}, subrooms: o.subrooms || {}, closed: o.closed || [] };
+  });
+
+  socket.on('state', (raw) => {
+    let s;
+    try {
+      if (SnapshotCodec.isBinary(raw)) s = snapDecoder.apply(SnapshotCodec.decodeBinary(raw));
+      else if (raw && Array.isArray(raw.players)) s = raw; // legacy full snapshot
+      else s = snapDecoder.apply(raw);
+    } catch (err) {
+      console.warn('[client] bad snapshot', err);
+      return;
+    }
+    if (!s) return; // delta before our first keyframe
+
     // s.t should be a server timestamp; use it for clock sync
     if (typeof s.t === 'number') clock.pushServerStamp(s.t);
     lastState = currState;
@@ -320,6 +833,12 @@
   // ================== Toys / Actions (synced animations) ==================
   const ACTION_DUR = { bat:350, cake:900, pizza:900, mic:1100, book:800, flag:800, laptop:800, ball:1100, paint:800 };
   const effects = []; // {id, kind, space, roomId, subroomId, origin, target, ts, aid?, authoritative?}
+  const toyCooldowns = new Map(); // kind -> { start, until } (local time), drawn as a sweep on the hotbar
+
+  function startToyCooldown(kind, ms) {
+    const now = Date.now();
+    if (ms > 0) toyCooldowns.set(kind, { start: now, until: now + ms });
+  }
 
   const hits = []; // {victimId, fromId, space, roomId, subroomId, dir:{x,y}, ts}
   socket.on('hit', (h) => {
@@ -365,6 +884,7 @@
     if (!me || !me.equippedKind) return;
 
     const kind = me.equippedKind;
+    if (Date.now() < (toyCooldowns.get(kind)?.until || 0)) return; // still cooling down
     const inRoom = !!currentRoomId;
     const origin = inRoom ? { x: me.rx || 0, y: me.ry || 0 } : { x: me.x || 0, y: me.y || 0 };
     const target = inRoom
@@ -385,8 +905,23 @@
     });
 
     socket.emit('action', { kind, target, aid });
+    startToyCooldown(kind, TOY_COOLDOWN_MS[kind] || 0);
   }
 
+  // The server refused the action (cooldown / too many): take back the predicted effect
+  socket.on('actionRejected', ({ aid, kind, reason, retryInMs, message } = {}) => {
+    const i = effects.findIndex(x => x.aid === aid && x.id === meId && !x.authoritative);
+    if (i >= 0) effects.splice(i, 1);
+    if (kind && retryInMs > 0) startToyCooldown(kind, retryInMs);
+    if (reason === 'rate') showChatNotice(`Slow down! Your ${kind || 'toy'} needs a moment.`, 3000);
+    else if (message) showChatNotice(message, 3000);
+  });
+
+  // Toy not allowed where I am (campus.json rules)
+  socket.on('equipRejected', ({ message } = {}) => {
+    showChatNotice(message || "That toy isn't allowed here.", 3000);
+  });
+
   // Right-click / context menu use
   canvas.addEventListener('contextmenu', (e) => { e.preventDefault(); useToy(); });
   canvas.addEventListener('mouseup', (e) => { if (e.button === 2) useToy(); });
@@ -429,6 +964,482 @@
     });
   });
 
+  // ================== Emotes (wheel + Shift+1..6, synced like actions) ==================
+  const EMOTES = [
+    { id: 'wave',     icon: '👋', label: 'Wave' },
+    { id: 'dance',    icon: '🎵', label: 'Dance' },
+    { id: 'sit',      icon: '🪑', label: 'Sit / stand up' },
+    { id: 'laugh',    icon: '😂', label: 'Laugh' },
+    { id: 'heart',    icon: '❤️', label: 'Heart' },
+    { id: 'thumbsup', icon: '👍', label: 'Thumbs up' }
+  ];
+  const EMOTE_DUR = { wave:1600, dance:3000, laugh:1800, heart:1800, thumbsup:1400 }; // sit/stand: the pose is the animation
+  const EMOTE_COOLDOWN_MS = 1500; // same as the server, which has the final say
+  const emotes = new Map();       // playerId -> { emote, ts }
+  let lastEmoteSent = 0;
+
+  function sendEmote(emote) {
+    closeEmoteWheel();
+    const standingUp = emote === 'sit' && getMe()?.pose === 'sit';
+    if (!standingUp && Date.now() - lastEmoteSent < EMOTE_COOLDOWN_MS) return;
+    lastEmoteSent = Date.now();
+    socket.emit('emote', { emote });
+  }
+
+  socket.on('emote', (e) => {
+    if (!EMOTE_DUR[e.emote]) { emotes.delete(e.id); return; }
+    const ts = (typeof e.ts === 'number') ? clock.toClientTime(e.ts) : Date.now();
+    emotes.set(e.id, { emote: e.emote, ts });
+  });
+
+  socket.on('emoteRejected', ({ retryInMs } = {}) => {
+    showChatNotice(`Too fast — emote again in ${Math.max(1, Math.ceil((retryInMs || 0) / 1000))}s.`, 2000, 'info');
+  });
+
+  let sitHintAt = 0;
+  function showSitHint() {
+    if (Date.now() - sitHintAt < 4000) return;
+    sitHintAt = Date.now();
+    showChatNotice("You're sitting — press Shift+3 (or 🪑 in the emote wheel) to stand up.", 3000, 'info');
+  }
+
+  /** Emote playing over a player right now: { emote, k (0..1 progress), pose } */
+  function emoteFor(p) {
+    const e = emotes.get(p.id);
+    let emote = null, k = 0;
+    if (e) {
+      k = Math.max(0, (Date.now() - e.ts) / EMOTE_DUR[e.emote]);
+      if (k >= 1) emotes.delete(p.id); else emote = e.emote;
+    }
+    return { emote, k, pose: p.pose || null };
+  }
+
+  // Radial menu: one button per emote around a ring
+  EMOTES.forEach((em, i) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'emote-slot';
+    b.title = `${em.label} (Shift+${i + 1})`;
+    b.setAttribute('role', 'menuitem');
+    b.style.setProperty('--a', `${i * 60 - 90}deg`);
+    b.textContent = em.icon;
+    const key = document.createElement('small');
+    key.textContent = String(i + 1);
+    b.appendChild(key);
+    b.addEventListener('click', () => sendEmote(em.id));
+    emoteWheel.appendChild(b);
+  });
+  function emoteWheelOpen() { return !emoteWheel.classList.contains('hidden'); }
+  function closeEmoteWheel() { emoteWheel.classList.add('hidden'); }
+  function toggleEmoteWheel() { emoteWheel.classList.toggle('hidden'); }
+  emoteButton.addEventListener('click', toggleEmoteWheel);
+  canvas.addEventListener('mousedown', closeEmoteWheel);
+
+  // ================== Paint layer (strokes stay, per space) ==================
+  // Dragging with the paint toy sends the stroke in ~100 ms batches. The server keeps
+  // whatever lands on paintable ground and sends it to everyone in the space; my own
+  // batches are drawn as pending until they come back.
+  const PAINT_FLUSH_MS = 100;
+  const PAINT_BATCH_POINTS = 64;  // same as the server
+  const PAINT_MAX_POINTS = 20000; // per space, same as the server
+  const PAINT_MIN_STEP = 4;       // px between recorded points
+  const PAINT_WIDTH = 6;
+  let paintSpace = null;
+  let paintStrokes = [];          // { id, color, width, points: [x, y, …] }, oldest first
+  let paintPending = [];          // my batches in flight: { seq, color, width, points }
+  let paintDrag = null;           // { points (not sent yet), tail (last sent point), ended }
+  let paintSeq = 1;
+  let paintNoticeAt = 0;
+
+  function paintPath(s) {
+    if (s.path) return s.path;
+    const path = new Path2D(), pts = s.points;
+    s.dot = pts.length === 2;
+    if (s.dot) path.arc(pts[0], pts[1], s.width / 2, 0, Math.PI*2);
+    else {
+      path.moveTo(pts[0], pts[1]);
+      for (let i = 2; i + 1 < pts.length; i += 2) path.lineTo(pts[i], pts[i+1]);
+    }
+    return (s.path = path);
+  }
+
+  socket.on('paintLayer', ({ space, strokes } = {}) => {
+    paintSpace = space;
+    paintStrokes = Array.isArray(strokes) ? strokes : [];
+    paintPending = [];
+    paintDrag = null;
+  });
+
+  socket.on('paintStrokes', ({ space, fromId, seq, strokes } = {}) => {
+    if (space !== paintSpace) return;
+    paintStrokes.push(...(strokes || []));
+    let held = paintStrokes.reduce((n, s) => n + s.points.length / 2, 0);
+    while (held > PAINT_MAX_POINTS) held -= paintStrokes.shift().points.length / 2;
+    if (fromId === meId && seq != null) paintPending = paintPending.filter(b => b.seq > seq);
+  });
+
+  socket.on('paintRejected', ({ seq, message } = {}) => {
+    if (seq != null) paintPending = paintPending.filter(b => b.seq > seq);
+    if (message && Date.now() - paintNoticeAt > 4000) {
+      paintNoticeAt = Date.now();
+      showChatNotice(message, 2500, 'info');
+    }
+  });
+
+  socket.on('paintCleared', ({ space } = {}) => {
+    if (space !== paintSpace) return;
+    paintStrokes = [];
+    showChatNotice('A moderator cleared the paint here.', 3000, 'info');
+  });
+
+  function mouseWorld() {
+    return currentRoomId
+      ? { x: mouseX + roomCamX, y: mouseY + roomCamY }
+      : { x: mouseX + camX,     y: mouseY + camY };
+  }
+
+  // Left-drag with the paint toy (clicks on the hotbar/dock still go to them)
+  canvas.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || getMe()?.equippedKind !== 'paint') return;
+    if (clickZones.some(cz => mouseX >= cz.x && mouseX <= cz.x + cz.w && mouseY >= cz.y && mouseY <= cz.y + cz.h)) return;
+    const w = mouseWorld();
+    paintDrag = { points: [Math.round(w.x), Math.round(w.y)], tail: null, ended: false };
+  });
+  canvas.addEventListener('mousemove', () => {
+    if (!paintDrag || paintDrag.ended) return;
+    const w = mouseWorld();
+    const pts = paintDrag.points.length ? paintDrag.points : paintDrag.tail;
+    const lx = pts[pts.length - 2], ly = pts[pts.length - 1];
+    if (Math.hypot(w.x - lx, w.y - ly) < PAINT_MIN_STEP) return;
+    paintDrag.points.push(Math.round(w.x), Math.round(w.y));
+  });
+  const endPaintDrag = () => { if (paintDrag) paintDrag.ended = true; };
+  window.addEventListener('mouseup', endPaintDrag);
+  canvas.addEventListener('mouseleave', endPaintDrag);
+
+  /** Send one batch; each starts at the previous batch's last point so the line stays joined */
+  function flushPaint() {
+    const d = paintDrag;
+    if (!d) return;
+    if (d.points.length) {
+      const take = (PAINT_BATCH_POINTS - (d.tail ? 1 : 0)) * 2;
+      const points = [...(d.tail || []), ...d.points.splice(0, take)];
+      const seq = paintSeq++;
+      socket.emit('paint', { seq, points });
+      paintPending.push({ seq, color: getMe()?.color || '#ffffff', width: PAINT_WIDTH, points });
+      d.tail = points.slice(-2);
+    }
+    if (d.ended && !d.points.length) paintDrag = null;
+  }
+  setInterval(flushPaint, PAINT_FLUSH_MS);
+
+  function strokePaint(s) {
+    const path = paintPath(s);
+    if (s.dot) { ctx.fillStyle = s.color; ctx.fill(path); }
+    else { ctx.strokeStyle = s.color; ctx.lineWidth = s.width; ctx.stroke(path); }
+  }
+
+  /** Paint sits on the floor: drawn after the scene, before entities and avatars */
+  function drawPaint(offX, offY) {
+    if (!paintStrokes.length && !paintPending.length) return;
+    ctx.save();
+    ctx.translate(-offX, -offY);
+    ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+    for (const s of paintStrokes) strokePaint(s);
+    ctx.globalAlpha = 0.7;
+    for (const b of paintPending) strokePaint(b);
+    ctx.restore();
+  }
+
+  // ================== Minigames (bat tag / dodgeball rounds in a room lobby) ==================
+  // The server runs the round and sends 'gameState' to everyone in the lobby. The panel
+  // joins/leaves (or G); the canvas shows the countdown, the scoreboard and the results.
+  let game = null; // last gameState for my lobby, `until` converted to client time
+
+  function myEntry() { return game ? game.players.find(p => p.id === meId && !p.left) || null : null; }
+
+  function toggleGame() {
+    if (myEntry()) socket.emit('gameLeave');
+    else socket.emit('gameJoin', {});
+  }
+
+  function formatTimer(ms) {
+    const s = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  function resultText(g) {
+    const r = g.results;
+    const names = r.winners.map(id => r.ranking.find(p => p.id === id)?.name).filter(Boolean);
+    if (!names.length) return `${g.modeName} is over: no winner this time.`;
+    const top = r.ranking.find(p => p.id === r.winners[0]);
+    const pts = `${top.score} point${top.score === 1 ? '' : 's'}`;
+    if (names.length > 1) return `${g.modeName}: ${names.join(' and ')} tie with ${pts}!`;
+    return g.mode === 'dodgeball' ? `${g.modeName}: ${names[0]} is the last one standing!` : `${g.modeName}: ${names[0]} wins with ${pts}!`;
+  }
+
+  function gameButton(label, onClick) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    b.addEventListener('click', () => { onClick(); b.blur(); });
+    return b;
+  }
+
+  function renderGamePanel() {
+    gamePanel.classList.toggle('hidden', !game);
+    if (!game) return;
+    gamePanel.textContent = '';
+    const title = document.createElement('div'); title.className = 'game-title';
+    const info  = document.createElement('div'); info.className = 'game-info';
+    const actions = document.createElement('div'); actions.className = 'game-actions';
+    const mine = myEntry();
+    const count = game.players.filter(p => !p.left).length;
+
+    if (game.phase === 'idle' || game.phase === 'results') {
+      title.textContent = '🏐 Minigames';
+      info.textContent = `Pick a game; it starts once ${game.minPlayers} players join (G)`;
+      for (const m of game.modes) actions.appendChild(gameButton(`Start ${m.name}`, () => socket.emit('gameJoin', { mode: m.id })));
+    } else if (game.phase === 'running') {
+      title.textContent = `🏐 ${game.modeName}`;
+      info.textContent = mine ? (mine.out ? "You're out. Watch the rest!" : 'Round in progress') : 'Watching: join the next round';
+      if (mine) actions.appendChild(gameButton('Leave (G)', toggleGame));
+    } else {
+      title.textContent = `🏐 ${game.modeName}`;
+      info.textContent = game.phase === 'countdown'
+        ? `${count} players · starting soon`
+        : `${count}/${game.minPlayers} players · waiting for more`;
+      actions.appendChild(gameButton(mine ? 'Leave (G)' : 'Join (G)', toggleGame));
+    }
+    gamePanel.append(title, info, actions);
+  }
+
+  socket.on('gameState', (g) => {
+    if (!g) return;
+    const wasRunning = game && game.phase === 'running';
+    game = { ...g, until: clock.toClientTime(g.until) };
+    if (wasRunning && g.phase === 'results' && g.results) {
+      const text = resultText(g);
+      appendSystemLine(`🏆 ${text}`);
+      showChatNotice(text, 6000, 'info');
+    }
+    renderGamePanel();
+  });
+
+  socket.on('gameRejected', ({ message } = {}) => {
+    showChatNotice(message || "You can't join this round.");
+  });
+
+  // Games only live in room lobbies: drop the panel when I walk out
+  socket.on('roomChanged', ({ roomId, subroomId }) => {
+    if (game && (roomId !== game.roomId || subroomId)) { game = null; renderGamePanel(); }
+  });
+
+  function drawGameRows(rows, x, y, w) {
+    ctx.font = '600 13px Inter, sans-serif';
+    for (const p of rows) {
+      ctx.fillStyle = p.id === meId ? '#9cc7ff' : (p.out || p.left ? 'rgba(230,236,255,0.45)' : '#e6ecff');
+      ctx.textAlign = 'left';
+      ctx.fillText(`${p.out ? '💀 ' : ''}${p.name}${p.left ? ' (left)' : ''}`, x, y);
+      ctx.textAlign = 'right';
+      ctx.fillText(String(p.score), x + w, y);
+      y += 18;
+    }
+  }
+
+  function drawGameOverlay() {
+    if (!game || currentSubroomId) return;
+    const now = Date.now();
+    if (game.phase === 'countdown') {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(0,0,0,0.45)';
+      ctx.fillRect(canvas.width/2 - 130, 90, 260, 96);
+      ctx.fillStyle = '#cbd5ff'; ctx.font = '600 14px Inter, sans-serif';
+      ctx.fillText(`${game.modeName} starts in`, canvas.width/2, 114);
+      ctx.fillStyle = '#ffffff'; ctx.font = '800 48px Inter, sans-serif';
+      ctx.fillText(String(Math.max(0, Math.ceil((game.until - now) / 1000))), canvas.width/2, 170);
+    } else if (game.phase === 'running') {
+      // Scoreboard (top right): most points first, players who are out at the bottom
+      const rows = game.players.slice().sort((a, b) => (a.out || a.left) - (b.out || b.left) || b.score - a.score).slice(0, 10);
+      const w = 200, h = 40 + rows.length * 18;
+      const x = canvas.width - w - 16, y = 64;
+      ctx.fillStyle = 'rgba(0,0,0,0.55)'; ctx.fillRect(x, y, w, h);
+      ctx.strokeStyle = 'rgba(255,255,255,0.12)'; ctx.strokeRect(x, y, w, h);
+      ctx.fillStyle = '#ffffff'; ctx.font = '800 14px Inter, sans-serif';
+      ctx.textAlign = 'left';  ctx.fillText(game.modeName, x + 12, y + 22);
+      ctx.textAlign = 'right'; ctx.fillText(formatTimer(game.until - now), x + w - 12, y + 22);
+      drawGameRows(rows, x + 12, y + 42, w - 24);
+    } else if (game.phase === 'results' && game.results) {
+      const rows = game.results.ranking.slice(0, 8);
+      const w = 300, h = 70 + rows.length * 18;
+      const x = Math.floor((canvas.width - w) / 2), y = 90;
+      ctx.fillStyle = 'rgba(0,0,0,0.65)'; ctx.fillRect(x, y, w, h);
+      ctx.strokeStyle = 'rgba(255,210,120,0.45)'; ctx.strokeRect(x, y, w, h);
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#ffe9bf'; ctx.font = '800 16px Inter, sans-serif';
+      ctx.fillText(`🏆 ${game.modeName} results`, x + w/2, y + 26);
+      ctx.fillStyle = '#cbd5ff'; ctx.font = '600 12px Inter, sans-serif';
+      ctx.fillText(resultText(game).replace(`${game.modeName}: `, ''), x + w/2, y + 46);
+      drawGameRows(rows, x + 16, y + 72, w - 32);
+    }
+  }
+
+  // ================== NPCs ==================
+  const NPC_TALK_RADIUS = 90; // matches server.js
+
+  /** campus.json entry for an NPC player (ids are "npc:<id>") */
+  function npcDef(id) {
+    return (world.npcs || []).find(n => `npc:${n.id}` === id) || null;
+  }
+
+  /** The closest NPC in my space that answers to E, if one is in reach */
+  function npcInReach(me, list) {
+    if (!me) return null;
+    const pos = (p) => p.roomId ? { x: p.rx || 0, y: p.ry || 0 } : { x: p.x, y: p.y };
+    const at = pos(me);
+    let best = null, bestD = NPC_TALK_RADIUS;
+    for (const p of list) {
+      if (!p.npc || (p.roomId || null) !== (me.roomId || null) || (p.subroomId || null) !== (me.subroomId || null)) continue;
+      if (npcDef(p.id)?.trigger === 'proximity') continue;
+      const q = pos(p), d = Math.hypot(q.x - at.x, q.y - at.y);
+      if (d <= bestD) { best = p; bestD = d; }
+    }
+    return best;
+  }
+
+  function talkToNpc() {
+    const npc = npcInReach(getMe(), currState.players);
+    if (!npc) return false;
+    socket.emit('npcTalk', { id: npc.id });
+    return true;
+  }
+
+  /** "E: talk" under the NPC I'd talk to */
+  function drawTalkPrompt(x, y) {
+    ctx.font = '600 12px Inter, sans-serif'; ctx.textAlign = 'center';
+    const label = 'E: talk', w = ctx.measureText(label).width + 12;
+    ctx.fillStyle = 'rgba(11,15,20,0.8)';
+    ctx.fillRect(x - w / 2, y + radius + 8, w, 18);
+    ctx.fillStyle = '#ffd166';
+    ctx.fillText(label, x, y + radius + 21);
+  }
+
+  // ================== Minimap (M) ==================
+  // The whole campus in a corner: buildings, everyone on campus, and how full each
+  // building is. Clicking a building fast-travels to its door; the server checks the
+  // destination and only allows it every TRAVEL_COOLDOWN_MS.
+  const MINIMAP_W = 240;
+  const MINIMAP_KEY = 'campusMinimap';
+  let minimapOpen = localStorage.getItem(MINIMAP_KEY) !== '0'; // on unless turned off
+  let minimapRect = null;         // { x, y, w, h, scale } on screen while it's shown
+  let TRAVEL_COOLDOWN_MS = 15000; // the server sends its value at init
+  let travelReadyAt = 0;          // local time
+
+  function toggleMinimap() {
+    minimapOpen = !minimapOpen;
+    localStorage.setItem(MINIMAP_KEY, minimapOpen ? '1' : '0');
+  }
+
+  /** Over the minimap panel (map and caption), where clicks and hovers belong to it */
+  function overMinimap(sx, sy) {
+    const m = minimapRect;
+    return !!m && sx >= m.x - 4 && sx <= m.x + m.w + 4 && sy >= m.y - 4 && sy <= m.y + m.h + 22;
+  }
+
+  /** The enterable building under a screen point on the minimap */
+  function roomAtMinimap(sx, sy) {
+    if (!overMinimap(sx, sy)) return null;
+    const m = minimapRect;
+    const wx = (sx - m.x) / m.scale, wy = (sy - m.y) / m.scale;
+    const o = (world.obstacles || []).find(o => wx >= o.x && wx <= o.x + o.w && wy >= o.y && wy <= o.y + o.h);
+    return o ? roomForRect(o) : null;
+  }
+
+  function travelTo(room) {
+    const wait = travelReadyAt - Date.now();
+    if (wait > 0) { showChatNotice(`Fast travel is ready again in ${Math.ceil(wait / 1000)}s.`, 2500, 'info'); return; }
+    socket.emit('travel', { roomId: room.id });
+  }
+
+  socket.on('traveled', ({ roomId, cooldownMs } = {}) => {
+    travelReadyAt = Date.now() + (cooldownMs || TRAVEL_COOLDOWN_MS);
+    const room = getRoomById(roomId);
+    showChatNotice(`You're at the door of ${room ? room.name : roomId}. Press Enter to go in.`, 3000, 'info');
+  });
+
+  socket.on('travelRejected', ({ message, retryInMs } = {}) => {
+    if (retryInMs) travelReadyAt = Date.now() + retryInMs;
+    showChatNotice(message || "You can't travel there right now.", 3000);
+  });
+
+  function drawMinimap(me, list) {
+    clickZones = clickZones.filter(z => z.tag !== 'minimap');
+    minimapRect = null;
+    if (!minimapOpen) return;
+
+    const W = world.width || 3200, H = world.height || 2000;
+    const scale = Math.min(MINIMAP_W, canvas.width * 0.35) / W;
+    const w = Math.round(W * scale), h = Math.round(H * scale);
+    const x = canvas.width - w - 16, y = 64;
+    minimapRect = { x, y, w, h, scale };
+    const mx = (v) => x + v * scale, my = (v) => y + v * scale;
+
+    ctx.fillStyle = 'rgba(0,0,0,0.6)'; ctx.fillRect(x - 4, y - 4, w + 8, h + 26);
+    ctx.strokeStyle = 'rgba(255,255,255,0.18)'; ctx.lineWidth = 1; ctx.strokeRect(x - 4, y - 4, w + 8, h + 26);
+    ctx.fillStyle = '#121826'; ctx.fillRect(x, y, w, h);
+
+    // Buildings; enterable ones are blue, with a head count when anyone is inside
+    const hover = roomAtMinimap(mouseX, mouseY);
+    const occ = occupancyByRoom();
+    ctx.font = '700 10px Inter, sans-serif'; ctx.textAlign = 'center';
+    for (const o of (world.obstacles || [])) {
+      const room = roomForRect(o);
+      const here = room && room.id === currentRoomId;
+      ctx.fillStyle = !room ? 'rgba(255,255,255,0.16)'
+        : room === hover ? '#4c91ff'
+        : here ? 'rgba(76,145,255,0.75)' : 'rgba(142,193,255,0.38)';
+      ctx.fillRect(mx(o.x), my(o.y), Math.max(1, o.w * scale), Math.max(1, o.h * scale));
+      const n = room ? occ.get(room.id) || 0 : 0;
+      if (n) {
+        const cx = mx(o.x + o.w / 2), cy = my(o.y + o.h / 2);
+        ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(cx - 8, cy - 6, 16, 12);
+        ctx.fillStyle = '#ffd166'; ctx.fillText(String(n), cx, cy + 4);
+      }
+    }
+
+    // People: positions only reach us for our own space, so dots show on campus
+    if (!currentRoomId) {
+      ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+      ctx.strokeRect(mx(camX), my(camY), canvas.width * scale, canvas.height * scale);
+      for (const p of list) {
+        if (p.roomId || p.id === meId) continue;
+        ctx.fillStyle = p.npc ? '#ffd166' : (p.color || '#7dafff');
+        ctx.beginPath(); ctx.arc(mx(p.x), my(p.y), 2, 0, Math.PI * 2); ctx.fill();
+      }
+    }
+
+    // Me: on campus where I stand, inside a building on that building
+    const inRect = me && me.roomId ? (world.obstacles || []).find(o => roomForRect(o)?.id === me.roomId) : null;
+    const at = !me ? null : inRect ? { x: inRect.x + inRect.w / 2, y: inRect.y + inRect.h / 2 } : me.roomId ? null : me;
+    if (at) {
+      ctx.beginPath(); ctx.arc(mx(at.x), my(at.y), 4, 0, Math.PI * 2);
+      ctx.fillStyle = '#ffffff'; ctx.fill();
+      ctx.lineWidth = 2; ctx.strokeStyle = '#3b82f6'; ctx.stroke();
+    }
+
+    // Caption: what a click would do
+    const wait = Math.ceil((travelReadyAt - Date.now()) / 1000);
+    ctx.font = '600 11px Inter, sans-serif'; ctx.textAlign = 'left';
+    ctx.fillStyle = '#c8d0ff';
+    ctx.fillText(hover ? (wait > 0 ? `${hover.name}: travel ready in ${wait}s` : `Click: go to ${hover.name}`)
+      : 'M to hide • click a building to travel', x, y + h + 15, w);
+
+    clickZones.push({ x: x - 4, y: y - 4, w: w + 8, h: h + 26, tag: 'minimap', onClick: (sx, sy) => {
+      const room = roomAtMinimap(sx, sy);
+      if (room) travelTo(room);
+    } });
+  }
+
   // ================== Helpers ==================
   function lerp(a,b,t){ return a + (b-a)*t; }
   function clamp(v,lo,hi){ return Math.max(lo, Math.min(hi, v)); }
@@ -443,7 +1454,10 @@
       rx: lerp(pa.rx ?? pb.rx, pb.rx, t), ry: lerp(pa.ry ?? pb.ry, pb.ry, t),
       roomId: pb.roomId, subroomId: pb.subroomId,
       equippedKind: pb.equippedKind || null,
-      chatText: pb.chatText, chatTs: pb.chatTs
+      pose: pb.pose || null,
+      npc: !!pb.npc,
+      hat: pb.hat || null,
+      tagColor: pb.tagColor || null
     };
   }
 
@@ -459,6 +1473,7 @@
   }
 
   function rectUnderMouse(){
+    if (overMinimap(mouseX, mouseY)) return null;
     const mxW = mouseX + camX;
     const myW = mouseY + camY;
     for (const o of (world.obstacles || [])) {
@@ -468,21 +1483,10 @@
   }
 
   function occupancyByRoom() {
-    const m = new Map();
-    for (const p of currState.players) {
-      if (!p.roomId) continue;
-      m.set(p.roomId, (m.get(p.roomId) || 0) + 1);
-    }
-    return m;
+    return new Map(Object.entries(occupancy.rooms || {}));
   }
   function occupancyBySubroom(roomId) {
-    const m = new Map();
-    for (const p of currState.players) {
-      if (p.roomId !== roomId) continue;
-      const key = p.subroomId || 'lobby';
-      m.set(key, (m.get(key) || 0) + 1);
-    }
-    return m;
+    return new Map(Object.entries((occupancy.subrooms || {})[roomId] || {}));
   }
 
   // ================== Drawing utilities ==================
@@ -536,25 +1540,82 @@
       ctx.strokeStyle = 'rgba(255,255,255,0.12)'; ctx.strokeRect(canvas.width/2 - 280, 16, 560, 36);
       ctx.fillStyle = '#e8ecff'; ctx.font = '600 14px Inter, sans-serif'; ctx.textAlign = 'center';
       const name = hover.label || 'Room';
-      ctx.fillText(`Press Enter to enter ${name}`, canvas.width/2, 38);
+      const rm = roomForRect(hover);
+      const cap = rm && capacityOf(rm);
+      const shut = rm && (rm.locked || (occupancy.closed || []).includes(rm.id));
+      const full = cap && (occ.get(rm.id) || 0) >= cap;
+      ctx.fillText(shut ? `🔒 ${name} is closed`
+        : full ? `${name} is full (${cap}). Press Enter, then J to wait in line`
+        : `Press Enter to enter ${name}`, canvas.width/2, 38);
+    }
+  }
+
+  function drawAvatarAndName(x, y, name, look, isMe, fx = null) {
+    const emote = fx?.emote, k = fx?.k || 0;
+    if (emote === 'dance') {
+      const t = k * EMOTE_DUR.dance / 1000;
+      x += Math.sin(t * 9) * 4;
+      y -= Math.abs(Math.sin(t * 9)) * 6;
+    }
+    // Sitting: squashed body on a stool
+    const sitting = fx?.pose === 'sit';
+    const ry = sitting ? radius * 0.78 : radius;
+    const by = sitting ? y + radius * 0.3 : y;
+    if (sitting) {
+      ctx.fillStyle = '#8b5e34';
+      ctx.fillRect(x - radius * 0.8, y + radius * 0.9, 4, radius * 0.5);
+      ctx.fillRect(x + radius * 0.8 - 4, y + radius * 0.9, 4, radius * 0.5);
+      ctx.fillRect(x - radius, y + radius * 0.8, radius * 2, 5);
     }
+    const top = drawFigure(ctx, x, by, radius, ry, look, isMe);
+    drawNameTag(ctx, name, x, top - 10, look?.tagColor);
+    if (emote) drawEmote(x, top, emote, k);
   }
 
-  function drawAvatarAndName(x, y, name, color, isMe) {
+  /** Shadow, body and hat on any canvas (the game, or the editor preview). Returns the top of the hat. */
+  function drawFigure(g, x, by, r, ry, look, isMe) {
     // shadow ring
-    ctx.beginPath(); ctx.arc(x+2, y+2, radius+1, 0, Math.PI*2); ctx.fillStyle='rgba(0,0,0,0.25)'; ctx.fill();
-    // body
-    ctx.beginPath(); ctx.arc(x, y, radius, 0, Math.PI*2);
-    ctx.fillStyle = isMe ? '#ffffff' : (color || '#7dafff');
-    ctx.fill();
-    ctx.lineWidth = isMe ? 3 : 2;
-    ctx.strokeStyle = isMe ? '#3b82f6' : '#111827';
-    ctx.stroke();
-    // name
-    ctx.font='600 14px Inter, sans-serif'; ctx.textAlign='center';
-    ctx.lineWidth = 4; ctx.strokeStyle='rgba(0,0,0,0.6)';
-    ctx.strokeText(name, x, y - radius - 10);
-    ctx.fillStyle='#e8ecff'; ctx.fillText(name, x, y - radius - 10);
+    g.beginPath(); g.ellipse(x+2, by+2, r+1, ry+1, 0, 0, Math.PI*2); g.fillStyle='rgba(0,0,0,0.25)'; g.fill();
+    // body (mine keeps its color; the blue ring says it's me)
+    g.beginPath(); g.ellipse(x, by, r, ry, 0, 0, Math.PI*2);
+    g.fillStyle = look?.color || '#7dafff';
+    g.fill();
+    g.lineWidth = isMe ? 3 : 2;
+    g.strokeStyle = isMe ? '#3b82f6' : '#111827';
+    g.stroke();
+    const top = by - ry;
+    if (look?.hat) drawHat(g, look.hat, x, by, r, top);
+    return top - (HAT_HEIGHT[look?.hat] || 0);
+  }
+
+  function drawNameTag(g, name, x, y, color) {
+    g.font='600 14px Inter, sans-serif'; g.textAlign='center';
+    g.lineWidth = 4; g.strokeStyle='rgba(0,0,0,0.6)';
+    g.strokeText(name, x, y);
+    g.fillStyle = color || '#e8ecff'; g.fillText(name, x, y);
+  }
+
+  /** Emote icon above the name (top = top of the body), fading out at the end */
+  function drawEmote(x, top, emote, k) {
+    const icon = EMOTES.find(e => e.id === emote)?.icon;
+    if (!icon) return;
+    const t = k * EMOTE_DUR[emote] / 1000;
+    let ex = x, ey = top - 38, size = 24, rot = 0;
+    switch (emote) {
+      case 'wave':     ex = x + radius + 12; ey = top + radius * 0.6; rot = Math.sin(t * 14) * 0.5; break;
+      case 'dance':    ex = x + Math.sin(t * 5) * (radius + 10); ey = top - 34 - Math.abs(Math.cos(t * 5)) * 6; size = 20; break;
+      case 'laugh':    ex = x + Math.sin(t * 40) * 2; break;
+      case 'heart':    ey -= k * 28; size = 18 + 8 * Math.min(1, k * 4); break;
+      case 'thumbsup': size = 24 * Math.min(1, k * 6); break;
+    }
+    ctx.save();
+    ctx.globalAlpha = k < 0.75 ? 1 : (1 - k) / 0.25;
+    ctx.translate(ex, ey);
+    ctx.rotate(rot);
+    ctx.font = `${Math.max(1, Math.round(size))}px "Apple Color Emoji", "Segoe UI Emoji", system-ui`;
+    ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText(icon, 0, 0);
+    ctx.restore();
   }
 
   function wrapLines(text, maxWidth) {
@@ -576,7 +1637,7 @@
     ctx.arcTo(x,y+h,x,y,rr); ctx.arcTo(x,y,x+w,y,rr); ctx.closePath();
   }
 
-  function drawChatBubble(px,py,text,alpha){
+  function drawChatBubble(px,py,text,alpha,style = {}){
     ctx.save(); ctx.globalAlpha = Math.max(0,Math.min(1,alpha));
     const lines = wrapLines(text, 240), lh=18, padX=10, padY=8;
     const contentW = Math.ceil(Math.max(...lines.map(l=>ctx.measureText(l).width), 30));
@@ -588,7 +1649,8 @@
     if (by < 8) by = 8;
     if (by + bh > canvas.height - 8) by = canvas.height - 8 - bh;
 
-    ctx.fillStyle='rgba(16,20,32,0.92)'; ctx.strokeStyle='#2b3550'; ctx.lineWidth=2;
+    ctx.fillStyle='rgba(16,20,32,0.92)'; ctx.lineWidth=2;
+    ctx.strokeStyle = style.mention ? '#ffd166' : (style.shout ? '#ff8fa3' : '#2b3550');
     roundRect(bx,by,bw,bh,10); ctx.fill(); ctx.stroke();
     const tailX = bx < px ? bx + bw : bx;
     const dir = (bx < px) ? 1 : -1;
@@ -615,7 +1677,8 @@
 
   function drawChatAt(x,y,p){
     const now = Date.now();
-    let text = p.chatText, ts = p.chatTs;
+    const b = bubbles.get(p.id);
+    let text = b && b.text, ts = b && b.ts;
     if (p.id === meId && localEcho) {
       if (!ts || localEcho.ts >= ts) { text = localEcho.text; ts = localEcho.ts; }
       if (now - localEcho.ts > 2000) localEcho = null;
@@ -623,8 +1686,63 @@
     if (text && ts && now - ts < CHAT_DURATION_MS) {
       const t = (now - ts) / CHAT_DURATION_MS;
       const alpha = t < 0.8 ? 1 : (1 - (t - 0.8) / 0.2);
-      drawChatBubble(x, y, text, alpha);
+      const style = b && ts === b.ts ? b : {};
+      drawChatBubble(x, y, style.shout ? `📣 ${text}` : text, alpha, style);
+    }
+  }
+
+  // ================== Rules (campus.json; the server enforces them) ==================
+  // Same merge as the server: campus rules, then the area / room / subroom's own.
+  const DEFAULT_RULES = { pvp: true, toys: null, speed: null, chat: true };
+
+  function areaAt(x, y) {
+    return (world.areas || []).find(a => x >= a.x && x <= a.x + a.w && y >= a.y && y <= a.y + a.h) || null;
+  }
+
+  function currentRules(me) {
+    const room = currentRoomId ? getRoomById(currentRoomId) : null;
+    const sr = room && currentSubroomId ? (room.subrooms || []).find(s => s.id === currentSubroomId) : null;
+    const area = !room && me ? areaAt(me.x, me.y) : null;
+    const rules = { ...DEFAULT_RULES, ...(world.rules || {}) };
+    for (const o of room ? [room.rules, sr && sr.rules] : [area && area.rules]) Object.assign(rules, o || {});
+    rules.maxOccupancy = ((sr || room) && (sr || room).rules?.maxOccupancy) || null; // never inherited
+    rules.area = area;
+    return rules;
+  }
+
+  /** Short labels for the rules that differ from the defaults */
+  function ruleChips(rules) {
+    const chips = [];
+    if (!rules.pvp) chips.push('🛡 No bat hits');
+    if (rules.toys) chips.push(rules.toys.length ? `🧸 Only ${rules.toys.map(k => TOY_EMOJI[k] || k).join(' ')}` : '🧸 No toys');
+    if (rules.speed) chips.push(`👟 Speed ${rules.speed}`);
+    if (!rules.chat) chips.push('🔇 Chat off');
+    if (rules.maxOccupancy) chips.push(`👥 Max ${rules.maxOccupancy}`);
+    return chips;
+  }
+
+  function drawRuleChips(chips, x, y) {
+    ctx.font = '600 13px Inter, sans-serif'; ctx.textAlign = 'left';
+    for (const c of chips) {
+      const w = ctx.measureText(c).width + 16;
+      ctx.fillStyle = 'rgba(255,255,255,0.10)'; ctx.fillRect(x, y - 15, w, 22);
+      ctx.fillStyle = '#e8ecff'; ctx.fillText(c, x + 8, y + 1);
+      x += w + 6;
     }
+    return x;
+  }
+
+  /** Campus: a badge at the top when an area (or the whole campus) has rules */
+  function drawCampusRules(me) {
+    const rules = currentRules(me);
+    const chips = ruleChips(rules);
+    if (!chips.length && !rules.area) return;
+    if (rules.area) chips.unshift(`📍 ${rules.area.name || rules.area.id}`);
+    ctx.font = '600 13px Inter, sans-serif';
+    const w = chips.reduce((n, c) => n + ctx.measureText(c).width + 22, -6);
+    const x = Math.floor((canvas.width - w) / 2);
+    ctx.fillStyle = 'rgba(0,0,0,0.45)'; ctx.fillRect(x - 8, 52, w + 16, 34);
+    drawRuleChips(chips, x, 74);
   }
 
   // ================== Room scene ==================
@@ -638,7 +1756,14 @@
     for (let y = startY; y < canvas.height; y += grid) { ctx.beginPath(); ctx.moveTo(0,y); ctx.lineTo(canvas.width,y); ctx.stroke(); }
   }
 
-  function drawDockItem(x, y, w, h, label, count, active, onClick) {
+  /** Most people allowed in a room/subroom ("capacity", else rules.maxOccupancy), like the server */
+  function capacityOf(place) {
+    const cap = place.capacity ?? place.rules?.maxOccupancy;
+    return cap >= 1 ? cap : null;
+  }
+
+  // access: { cap, locked } for the count badge ("👥 3/30", "FULL", "🔒")
+  function drawDockItem(x, y, w, h, label, count, active, onClick, access = {}) {
     ctx.fillStyle = active ? 'rgba(255,255,255,0.10)' : 'rgba(0,0,0,0.35)';
     ctx.fillRect(x, y, w, h);
     ctx.strokeStyle = active ? 'rgba(103,168,255,0.6)' : 'rgba(255,255,255,0.12)';
@@ -646,12 +1771,13 @@
     ctx.font = '600 14px Inter, sans-serif'; ctx.textAlign='left'; ctx.fillStyle='#e8ecff';
     ctx.fillText(label, x + 12, y + 28);
     // count badge
-    const txt = `👥 ${count}`; const padX=8;
+    const full = !!access.cap && count >= access.cap;
+    const txt = `${access.locked ? '🔒 ' : ''}👥 ${count}${access.cap ? `/${access.cap}` : ''}${full ? ' FULL' : ''}`; const padX=8;
     const bw = Math.ceil(ctx.measureText(txt).width) + padX*2; const bh = 20;
     const bx = x + w - bw - 8, by = y + (h - bh)/2;
-    ctx.fillStyle = 'rgba(0,0,0,0.55)'; ctx.fillRect(bx, by, bw, bh);
-    ctx.strokeStyle = 'rgba(255,255,255,0.12)'; ctx.strokeRect(bx, by, bw, bh);
-    ctx.fillStyle = '#e8ecff'; ctx.textAlign='left'; ctx.fillText(txt, bx + padX, by + bh - 6);
+    ctx.fillStyle = full || access.locked ? 'rgba(90,20,28,0.75)' : 'rgba(0,0,0,0.55)'; ctx.fillRect(bx, by, bw, bh);
+    ctx.strokeStyle = full || access.locked ? 'rgba(255,120,120,0.45)' : 'rgba(255,255,255,0.12)'; ctx.strokeRect(bx, by, bw, bh);
+    ctx.fillStyle = full || access.locked ? '#ffd7d7' : '#e8ecff'; ctx.textAlign='left'; ctx.fillText(txt, bx + padX, by + bh - 6);
 
     clickZones.push({ x, y, w, h, onClick, tag: 'dock' });
   }
@@ -696,6 +1822,7 @@
       return sr ? ` → ${sr.name}` : '';
     })();
     ctx.fillText(`Inside: ${titleRoom}${srName}`, 16, 30);
+    drawRuleChips(ruleChips(currentRules(getMe())), 16 + ctx.measureText(`Inside: ${titleRoom}${srName}`).width + 16, 29);
     ctx.fillStyle = '#c8d0ff'; ctx.font = '600 14px Inter, sans-serif'; ctx.textAlign = 'right';
     ctx.fillText('Esc/Q to exit • 0 Lobby • 1..9 Subrooms', canvas.width - 16, 30);
 
@@ -713,9 +1840,10 @@
     // Subrooms
     for (let i = 0; i < (room.subrooms || []).length; i++) {
       const s = room.subrooms[i];
-      drawDockItem(dockX, y, itemW, itemH, `${i+1}. ${s.name}`, occ.get(s.id) || 0, currentSubroomId === s.id, () => {
+      const waiting = queuedFor && queuedFor.roomId === room.id && queuedFor.subroomId === s.id;
+      drawDockItem(dockX, y, itemW, itemH, `${i+1}. ${s.name}${waiting ? ` ⏳${queuedFor.position}` : ''}`, occ.get(s.id) || 0, currentSubroomId === s.id, () => {
         socket.emit('enterSubroom', { roomId: room.id, subroomId: s.id });
-      });
+      }, { cap: capacityOf(s), locked: !!s.locked });
       y += itemH + gap;
     }
 
@@ -848,6 +1976,23 @@
       ctx.textAlign = 'center';
       ctx.fillText(emoji, cx + slot/2, y + 8 + slot/2 + 8);
 
+      // Cooldown sweep: the dark wedge shrinks clockwise until the toy is ready
+      const cd = toyCooldowns.get(kind);
+      if (cd) {
+        const left = (cd.until - Date.now()) / (cd.until - cd.start);
+        if (left <= 0) toyCooldowns.delete(kind);
+        else {
+          const mx = cx + slot/2, my = y + 8 + slot/2;
+          ctx.save();
+          ctx.beginPath(); ctx.rect(cx, y + 8, slot, slot); ctx.clip();
+          ctx.beginPath(); ctx.moveTo(mx, my);
+          ctx.arc(mx, my, slot, -Math.PI/2 + (1 - left) * Math.PI*2, Math.PI*1.5);
+          ctx.closePath();
+          ctx.fillStyle = 'rgba(0,0,0,0.6)'; ctx.fill();
+          ctx.restore();
+        }
+      }
+
       clickZones.push({
         x: cx, y: y + 8, w: slot, h: slot, tag: 'hotbar',
         onClick: () => {
@@ -866,6 +2011,37 @@
     ctx.fillText('Right-click / Space / E to use • 0 clears • 1–9 equips (unless used for subrooms)', x + totalW/2, y - 6);
   }
 
+  // ================== World entities (balls, simulated by the server) ==================
+  const BALL_RADIUS = 12; // matches server.js
+
+  /** Entities in my space, interpolated between the last two snapshots */
+  function interpEntities(t) {
+    const prev = new Map((lastState.entities || []).map(e => [e.n, e]));
+    return (currState.entities || []).map(b => {
+      const a = prev.get(b.n);
+      return a ? { ...b, x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t) } : b;
+    });
+  }
+
+  function drawBall(x, y, spin) {
+    ctx.beginPath(); ctx.arc(x+2, y+3, BALL_RADIUS, 0, Math.PI*2); ctx.fillStyle = 'rgba(0,0,0,0.3)'; ctx.fill();
+    ctx.beginPath(); ctx.arc(x, y, BALL_RADIUS, 0, Math.PI*2);
+    ctx.fillStyle = '#f8fafc'; ctx.fill();
+    ctx.lineWidth = 2; ctx.strokeStyle = '#111827'; ctx.stroke();
+    // Patches turn with the distance travelled, so a moving ball rolls
+    ctx.fillStyle = '#111827';
+    for (let i = 0; i < 3; i++) {
+      const a = spin + i * Math.PI * 2 / 3;
+      ctx.beginPath(); ctx.arc(x + Math.cos(a) * BALL_RADIUS * 0.5, y + Math.sin(a) * BALL_RADIUS * 0.5, 3, 0, Math.PI*2); ctx.fill();
+    }
+  }
+
+  function drawEntities(list, offX, offY) {
+    for (const e of list) {
+      if (e.type === 'ball') drawBall(Math.round(e.x - offX), Math.round(e.y - offY), (e.x + e.y) / BALL_RADIUS);
+    }
+  }
+
   // ================== Render loop ==================
   function render(dt) {
     ctx.fillStyle = '#0b0f14';
@@ -882,6 +2058,8 @@
     }
 
     const me = players.find(p => p.id === meId);
+    const ents = interpEntities(t);
+    const talkTo = npcInReach(me, players);
 
     if (!currentRoomId) {
       // Campus camera follow (+ shake if hurt)
@@ -893,6 +2071,8 @@
 
       drawCampusGrid();
       drawBuildingsAndHover();
+      drawPaint(camX, camY);
+      drawEntities(ents, camX, camY);
 
       // draw players on campus
       for (const p of players) if (!p.roomId) {
@@ -912,13 +2092,15 @@
           ctx.restore();
         }
 
-        drawAvatarAndName(x, y, p.name, p.color, p.id === meId);
+        drawAvatarAndName(x, y, p.npc ? `💬 ${p.name}` : p.name, p, p.id === meId, emoteFor(p));
         drawHeldItem(p.equippedKind, x, y);
+        if (talkTo && p.id === talkTo.id) drawTalkPrompt(x, y);
         drawChatAt(x, y, p);
       }
 
       drawEffects('campus');
       drawHotbar(me?.equippedKind || null);
+      drawCampusRules(me);
 
     } else {
       const room = getRoomById(currentRoomId);
@@ -929,6 +2111,8 @@
         roomCamX = clamp((me.rx || 0) - canvas.width/2, 0, Math.max(0, iw - canvas.width)) + sh.x;
         roomCamY = clamp((me.ry || 0) - canvas.height/2, 0, Math.max(0, ih - canvas.height)) + sh.y;
       } else { roomCamX = 0; roomCamY = 0; }
+      drawPaint(roomCamX, roomCamY);
+      drawEntities(ents, roomCamX, roomCamY);
 
       for (const p of players) {
         if (p.roomId !== currentRoomId) continue;
@@ -950,14 +2134,17 @@
           ctx.restore();
         }
 
-        drawAvatarAndName(x, y, p.name, p.color, p.id === meId);
+        drawAvatarAndName(x, y, p.npc ? `💬 ${p.name}` : p.name, p, p.id === meId, emoteFor(p));
         drawHeldItem(p.equippedKind, x, y);
+        if (talkTo && p.id === talkTo.id) drawTalkPrompt(x, y);
         drawChatAt(x, y, p);
       }
 
       drawEffects('room');
       drawHotbar(me?.equippedKind || null);
+      drawGameOverlay();
     }
+    drawMinimap(me, players);
 
     requestAnimationFrame((now) => {
       const prev = render.last || now;
@@ -0,0 +1,281 @@
+// snapshot-codec.js
+// Shared by server.js (require) and client.js (window.SnapshotCodec).
+// Keyframe/delta snapshot frames plus an optional compact binary encoding.
+//
+// Frame (JSON form):
+//   { t, k: 1|0, p: [ { n, ...fields } ], g: [ n, ... ], e?: [ { n, type, x, y } ] }
+//   t = server time, k = keyframe, n = numeric player id,
+//   p = entries (keyframe: every field, delta: changed fields only), g = players gone since last frame,
+//   e = every world entity in the space (balls …); only on keyframes and when one of them moved
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SnapshotCodec = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 6;
+
+  // Order matters: index = bit in the binary field mask. Append only; removing or
+  // reordering a field needs a VERSION bump.
+  //   pos  → quantized to whole px, 0..65535 (u16)
+  //   str  → nullable UTF-8 string
+  //   time → ms timestamp (f64)
+  //   flag → boolean (u8)
+  const PLAYER_FIELDS = [
+    { key: 'id',           type: 'str'  },
+    { key: 'name',         type: 'str'  },
+    { key: 'color',        type: 'str'  },
+    { key: 'x',            type: 'pos'  },
+    { key: 'y',            type: 'pos'  },
+    { key: 'rx',           type: 'pos'  },
+    { key: 'ry',           type: 'pos'  },
+    { key: 'roomId',       type: 'str'  },
+    { key: 'subroomId',    type: 'str'  },
+    { key: 'equippedKind', type: 'str'  },
+    { key: 'pose',         type: 'str'  },
+    { key: 'npc',          type: 'flag' },
+    { key: 'hat',          type: 'str'  },
+    { key: 'tagColor',     type: 'str'  }
+  ];
+
+  const NULL_STR = 0xFFFF;
+
+  function quantize(v) {
+    v = Math.round(Number(v) || 0);
+    return v < 0 ? 0 : (v > 0xFFFF ? 0xFFFF : v);
+  }
+
+  /** Normalize one player record to exactly the wire fields (quantized) */
+  function toEntry(n, src) {
+    const e = { n };
+    for (const f of PLAYER_FIELDS) {
+      const v = src[f.key];
+      if (f.type === 'pos') e[f.key] = quantize(v);
+      else if (f.type === 'time') e[f.key] = Number(v) || 0;
+      else if (f.type === 'flag') e[f.key] = !!v;
+      else e[f.key] = (v === undefined || v === null) ? null : String(v);
+    }
+    return e;
+  }
+
+  /** Normalize one world entity to its wire form */
+  function toEntityEntry(n, src) {
+    return { n, type: String(src.type), x: quantize(src.x), y: quantize(src.y) };
+  }
+
+  // ------------------------------ Server side ------------------------------
+  /**
+   * One encoder per space. next() diffs against the previous tick of the same space,
+   * so every socket in that space can share one delta frame.
+   */
+  function createEncoder() {
+    let prev = new Map(); // n -> entry
+    let prevEntities = '';
+
+    function keyframe(t, entries, ents = []) {
+      return { t, k: 1, p: entries.slice(), g: [], e: ents.slice() };
+    }
+
+    function next(t, entries, forceKeyframe, ents = []) {
+      const curr = new Map();
+      for (const e of entries) curr.set(e.n, e);
+
+      const entKey = JSON.stringify(ents);
+      let frame;
+      if (forceKeyframe) {
+        frame = keyframe(t, entries, ents);
+      } else {
+        const p = [];
+        for (const e of entries) {
+          const was = prev.get(e.n);
+          if (!was) { p.push(e); continue; }
+          let d = null;
+          for (const f of PLAYER_FIELDS) {
+            if (was[f.key] !== e[f.key]) (d || (d = { n: e.n }))[f.key] = e[f.key];
+          }
+          if (d) p.push(d);
+        }
+        const g = [];
+        for (const n of prev.keys()) if (!curr.has(n)) g.push(n);
+        frame = { t, k: 0, p, g };
+        if (entKey !== prevEntities) frame.e = ents.slice();
+      }
+      prev = curr;
+      prevEntities = entKey;
+      return frame;
+    }
+
+    return { next, keyframe };
+  }
+
+  // ------------------------------ Binary ------------------------------
+  //   u8 version, u8 flags (1 = keyframe), f64 t, u16 count,
+  //   count × [ u16 n, u32 mask, fields in PLAYER_FIELDS order ],
+  //   u16 goneCount, goneCount × u16 n,
+  //   u16 entityCount (0xFFFF = no entity list), entityCount × [ u16 n, str type, u16 x, u16 y ]
+  const utf8enc = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+  const utf8dec = typeof TextDecoder !== 'undefined' ? new TextDecoder() : null;
+
+  /** UTF-8 bytes of s, cut to fit a u16 length on a character boundary (never half a character) */
+  function utf8Bytes(s) {
+    const b = utf8enc.encode(s);
+    if (b.length < NULL_STR) return b;
+    let end = NULL_STR - 1;
+    while (end > 0 && (b[end] & 0xC0) === 0x80) end--; // back off continuation bytes to a lead byte
+    return b.subarray(0, end);
+  }
+
+  function encodeBinary(frame) {
+    // Pre-encode strings so we can size the buffer exactly
+    const strs = [];
+    let size = 1 + 1 + 8 + 2 + 2 + frame.g.length * 2 + 2;
+    for (const e of frame.p) {
+      size += 2 + 4;
+      for (const f of PLAYER_FIELDS) {
+        if (!(f.key in e)) continue;
+        const v = e[f.key];
+        if (f.type === 'pos') size += 2;
+        else if (f.type === 'time') size += 8;
+        else if (f.type === 'flag') size += 1;
+        else {
+          const b = v === null ? null : utf8Bytes(v);
+          strs.push(b);
+          size += 2 + (b ? b.length : 0);
+        }
+      }
+    }
+    const entTypes = (frame.e || []).map(e => utf8Bytes(e.type));
+    for (const b of entTypes) size += 2 + 2 + b.length + 2 + 2;
+
+    const buf = new Uint8Array(size);
+    const dv = new DataView(buf.buffer);
+    let o = 0, si = 0;
+    dv.setUint8(o, VERSION); o += 1;
+    dv.setUint8(o, frame.k ? 1 : 0); o += 1;
+    dv.setFloat64(o, frame.t); o += 8;
+    dv.setUint16(o, frame.p.length); o += 2;
+    for (const e of frame.p) {
+      dv.setUint16(o, e.n); o += 2;
+      let mask = 0;
+      PLAYER_FIELDS.forEach((f, i) => { if (f.key in e) mask |= (1 << i); });
+      dv.setUint32(o, mask >>> 0); o += 4;
+      for (const f of PLAYER_FIELDS) {
+        if (!(f.key in e)) continue;
+        if (f.type === 'pos') { dv.setUint16(o, quantize(e[f.key])); o += 2; }
+        else if (f.type === 'time') { dv.setFloat64(o, Number(e[f.key]) || 0); o += 8; }
+        else if (f.type === 'flag') { dv.setUint8(o, e[f.key] ? 1 : 0); o += 1; }
+        else {
+          const b = strs[si++];
+          if (!b) { dv.setUint16(o, NULL_STR); o += 2; }
+          else { dv.setUint16(o, b.length); o += 2; buf.set(b, o); o += b.length; }
+        }
+      }
+    }
+    dv.setUint16(o, frame.g.length); o += 2;
+    for (const n of frame.g) { dv.setUint16(o, n); o += 2; }
+    if (!frame.e) { dv.setUint16(o, NULL_STR); o += 2; }
+    else {
+      dv.setUint16(o, frame.e.length); o += 2;
+      frame.e.forEach((e, i) => {
+        dv.setUint16(o, e.n); o += 2;
+        dv.setUint16(o, entTypes[i].length); o += 2; buf.set(entTypes[i], o); o += entTypes[i].length;
+        dv.setUint16(o, quantize(e.x)); o += 2;
+        dv.setUint16(o, quantize(e.y)); o += 2;
+      });
+    }
+    return buf;
+  }
+
+  function toBytes(raw) {
+    if (raw instanceof Uint8Array) return raw;           // includes Node Buffer
+    if (raw instanceof ArrayBuffer) return new Uint8Array(raw);
+    if (ArrayBuffer.isView(raw)) return new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+    return null;
+  }
+
+  function isBinary(raw) { return !!raw && (raw instanceof ArrayBuffer || ArrayBuffer.isView(raw)); }
+
+  function decodeBinary(raw) {
+    const buf = toBytes(raw);
+    const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    let o = 0;
+    const version = dv.getUint8(o); o += 1;
+    if (version !== VERSION) throw new Error(`snapshot version ${version} != ${VERSION}`);
+    const k = dv.getUint8(o) & 1; o += 1;
+    const t = dv.getFloat64(o); o += 8;
+    const count = dv.getUint16(o); o += 2;
+    const p = [];
+    for (let i = 0; i < count; i++) {
+      const e = { n: dv.getUint16(o) }; o += 2;
+      const mask = dv.getUint32(o); o += 4;
+      PLAYER_FIELDS.forEach((f, bit) => {
+        if (!(mask & (1 << bit))) return;
+        if (f.type === 'pos') { e[f.key] = dv.getUint16(o); o += 2; }
+        else if (f.type === 'time') { e[f.key] = dv.getFloat64(o); o += 8; }
+        else if (f.type === 'flag') { e[f.key] = dv.getUint8(o) === 1; o += 1; }
+        else {
+          const len = dv.getUint16(o); o += 2;
+          if (len === NULL_STR) e[f.key] = null;
+          else { e[f.key] = utf8dec.decode(buf.subarray(o, o + len)); o += len; }
+        }
+      });
+      p.push(e);
+    }
+    const gone = dv.getUint16(o); o += 2;
+    const g = [];
+    for (let i = 0; i < gone; i++) { g.push(dv.getUint16(o)); o += 2; }
+    const frame = { t, k, p, g };
+    const entCount = dv.getUint16(o); o += 2;
+    if (entCount !== NULL_STR) {
+      frame.e = [];
+      for (let i = 0; i < entCount; i++) {
+        const n = dv.getUint16(o); o += 2;
+        const len = dv.getUint16(o); o += 2;
+        const type = utf8dec.decode(buf.subarray(o, o + len)); o += len;
+        const x = dv.getUint16(o); o += 2;
+        const y = dv.getUint16(o); o += 2;
+        frame.e.push({ n, type, x, y });
+      }
+    }
+    return frame;
+  }
+
+  // ------------------------------ Client side ------------------------------
+  /** Rebuilds full { t, players, entities } state from keyframes + deltas. Returns null until the first keyframe. */
+  function createDecoder() {
+    let known = null; // n -> full entry
+    let entities = [];
+
+    function apply(frame) {
+      if (!frame || !Array.isArray(frame.p)) return null;
+      if (frame.k) { known = new Map(); entities = []; }
+      else if (!known) return null;
+      if (Array.isArray(frame.e)) entities = frame.e;
+
+      for (const e of frame.p) {
+        known.set(e.n, Object.assign({}, known.get(e.n), e));
+      }
+      for (const n of (frame.g || [])) known.delete(n);
+
+      // Fresh objects each frame so lastState/currState never share entries
+      return {
+        t: frame.t,
+        players: Array.from(known.values(), e => Object.assign({}, e)),
+        entities: entities.map(e => Object.assign({}, e))
+      };
+    }
+
+    return { apply, reset: () => { known = null; entities = []; } };
+  }
+
+  return {
+    VERSION,
+    PLAYER_FIELDS,
+    quantize,
+    toEntry,
+    toEntityEntry,
+    createEncoder,
+    encodeBinary,
+    decodeBinary,
+    isBinary,
+    createDecoder
+  };
+});
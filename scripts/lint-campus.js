@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// scripts/lint-campus.js
+// Validate campus.json against lib/campus.schema.json plus geometric checks.
+//
+//   npm run lint-campus                 # public/campus.json (or ./campus.json)
+//   npm run lint-campus -- path/to/map.json --strict
+//
+// Exit code 1 on errors (or on warnings with --strict).
+
+const fs = require('fs');
+const path = require('path');
+const { lintCampusText, formatIssue } = require('../lib/campus-schema');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const fileArg = args.find(a => !a.startsWith('--'));
+
+const root = path.join(__dirname, '..');
+const candidates = fileArg
+  ? [path.resolve(fileArg)]
+  : [path.join(root, 'public', 'campus.json'), path.join(root, 'campus.json')];
+const file = candidates.find(f => fs.existsSync(f));
+
+if (!file) {
+  console.error(`lint-campus: no campus.json found (looked in ${candidates.map(f => path.relative(process.cwd(), f)).join(', ')})`);
+  process.exit(2);
+}
+
+const shown = path.relative(process.cwd(), file) || file;
+const { errors, warnings } = lintCampusText(fs.readFileSync(file, 'utf8'));
+
+for (const e of errors)   console.log(formatIssue(e, 'error', shown));
+for (const w of warnings) console.log(formatIssue(w, 'warning', shown));
+
+const summary = `${errors.length} error${errors.length === 1 ? '' : 's'}, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`;
+if (errors.length || (strict && warnings.length)) {
+  console.log(`\n✖ ${summary}`);
+  process.exit(1);
+}
+console.log(`${warnings.length ? '\n⚠' : '✔'} ${shown}: ${summary}`);
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// scripts/load-test.js
+// Capacity check: spawn N headless bots (lib/campus-bot.js) against a running
+// server and report how it holds up: server tick time (from /healthz), snapshot
+// size, chat/bat round-trip latency and dropped connections.
+//
+//   npm run load-test                               # 50 bots for 60s against localhost:3000
+//   npm run load-test -- --bots 200 --duration 120 --url http://localhost:3999
+//   npm run load-test -- --bots 100 --strict        # exit 1 on drops or slow ticks
+//
+// Options: --bots N, --duration SECONDS, --url URL, --ramp MS (between connects),
+// --report SECONDS, --json (JSON snapshots instead of binary), --websocket,
+// --chat MS / --bat MS / --move MS (average gap between actions per bot; 0 = off).
+//
+// Exit code 1 with --strict if any bot dropped or the server's p95 tick went over budget.
+
+const { createBot } = require('../lib/campus-bot');
+
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    const next = argv[i + 1];
+    if (m[2] !== undefined) opts[m[1]] = m[2];
+    else if (next !== undefined && !next.startsWith('--')) { opts[m[1]] = next; i++; }
+    else opts[m[1]] = true;
+  }
+  return opts;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const num = (v, d) => (v === undefined || v === true || !Number.isFinite(Number(v)) ? d : Number(v));
+
+const URL        = String(args.url || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const BOTS       = num(args.bots, 50);
+const DURATION_S = num(args.duration, 60);
+const RAMP_MS    = num(args.ramp, 100);
+const REPORT_S   = num(args.report, 5);
+const STRICT     = !!args.strict;
+const botOptions = {
+  url: URL,
+  encoding: args.json ? 'json' : 'binary',
+  transports: args.websocket ? ['websocket'] : ['polling'],
+  chatEveryMs: num(args.chat, 15000),
+  batEveryMs: num(args.bat, 3000),
+  moveEveryMs: num(args.move, 20000)
+};
+
+const bots = [];
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+}
+
+function fmtLatency(list) {
+  if (!list.length) return '-';
+  const s = list.slice().sort((a, b) => a - b);
+  return `p50 ${percentile(s, 0.5)} / p95 ${percentile(s, 0.95)} ms`;
+}
+
+async function serverStats() {
+  try {
+    const res = await fetch(`${URL}/healthz`, { signal: AbortSignal.timeout(2000) });
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+// Samples since the last report (the bots' lists are drained each time)
+function collect() {
+  const out = { frames: 0, bytes: 0, stateAge: [], chat: [], bat: [], rejected: 0 };
+  for (const b of bots) {
+    const s = b.stats;
+    out.frames += s.frames; out.bytes += s.bytes; out.rejected += s.rejected;
+    out.stateAge.push(...s.stateAge.splice(0));
+    out.chat.push(...s.chat.splice(0));
+    out.bat.push(...s.bat.splice(0));
+    s.frames = 0; s.bytes = 0; s.rejected = 0;
+  }
+  return out;
+}
+
+// Whole-run totals for the summary
+const totals = { frames: 0, bytes: 0, rejected: 0, stateAge: [], chat: [], bat: [], tickP95: [], tickMax: 0, budgetMs: 50 };
+let firstTick = null, lastTick = null; // server tick counters at the first and last report
+
+async function report(elapsedS, periodS) {
+  const c = collect();
+  const srv = await serverStats();
+  const online = bots.filter(b => b.stats.connected).length;
+  const drops = bots.reduce((n, b) => n + b.stats.drops, 0);
+  const perBot = Math.max(1, online);
+
+  totals.frames += c.frames;
+  totals.bytes += c.bytes;
+  totals.rejected += c.rejected;
+  totals.stateAge.push(...c.stateAge);
+  totals.chat.push(...c.chat);
+  totals.bat.push(...c.bat);
+
+  let tick = 'server stats unavailable';
+  if (srv && srv.tick) {
+    const t = srv.tick;
+    totals.tickP95.push(t.p95Ms);
+    totals.tickMax = Math.max(totals.tickMax, t.maxMs);
+    totals.budgetMs = t.budgetMs;
+    if (!firstTick) firstTick = t;
+    lastTick = t;
+    tick = `tick avg ${t.avgMs} / p95 ${t.p95Ms} / max ${t.maxMs} ms (${t.overBudget} over ${t.budgetMs} ms, worst gap ${t.maxGapMs} ms)`;
+  }
+  const avgFrame = c.frames ? Math.round(c.bytes / c.frames) : 0;
+  console.log(
+    `[${String(Math.round(elapsedS)).padStart(4)}s] bots ${online}/${BOTS} (server sees ${srv ? srv.players : '?'}) · ${tick}\n` +
+    `        snapshots ${(c.frames / perBot / periodS).toFixed(1)}/s per bot, avg ${avgFrame} B, ${(c.bytes / perBot / periodS / 1024).toFixed(1)} KiB/s per bot · ` +
+    `state age ${fmtLatency(c.stateAge)} · chat ${fmtLatency(c.chat)} · bat ${fmtLatency(c.bat)} · rejected ${c.rejected} · dropped ${drops}`
+  );
+}
+
+function summary(runS) {
+  const drops = bots.reduce((n, b) => n + b.stats.drops, 0);
+  const failed = bots.filter(b => b.stats.connectErrors && !b.stats.frames && !b.stats.connected).length;
+  const kicked = bots.filter(b => b.stats.kicked).map(b => `${b.name} (${b.stats.kicked})`);
+  const p95s = totals.tickP95.slice().sort((a, b) => a - b);
+  const worstP95 = p95s.length ? p95s[p95s.length - 1] : null;
+  const budget = totals.budgetMs;
+  const ticks = lastTick ? lastTick.total - firstTick.total : 0;
+  const over = lastTick ? lastTick.totalOverBudget - firstTick.totalOverBudget : 0;
+
+  console.log('\n── Summary ──');
+  console.log(`bots:        ${BOTS} over ${Math.round(runS)}s, ${drops} dropped, ${failed} never connected${kicked.length ? `, kicked: ${kicked.join(', ')}` : ''}`);
+  console.log(`server tick: ${worstP95 === null ? 'unavailable' : `worst p95 ${worstP95} ms, max ${totals.tickMax} ms, ${over} of ${ticks} ticks over ${budget} ms`}`);
+  console.log(`snapshots:   ${totals.frames} frames, avg ${totals.frames ? Math.round(totals.bytes / totals.frames) : 0} B, ${(totals.bytes / Math.max(1, BOTS) / runS / 1024).toFixed(1)} KiB/s per bot`);
+  console.log(`latency:     state age ${fmtLatency(totals.stateAge)} · chat ${fmtLatency(totals.chat)} · bat ${fmtLatency(totals.bat)}`);
+  console.log(`rejected:    ${totals.rejected} (cooldowns, room rules, full rooms, chat filters)`);
+
+  const slow = worstP95 !== null && worstP95 > budget;
+  if (STRICT && (drops || failed || slow)) {
+    console.log(`\n✖ ${[drops || failed ? 'connections dropped' : '', slow ? `p95 tick over ${budget} ms` : ''].filter(Boolean).join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
+(async () => {
+  if (!(await serverStats())) {
+    console.error(`load-test: no server answering at ${URL}/healthz (start one with npm start)`);
+    process.exit(2);
+  }
+  console.log(`load-test: ${BOTS} bots → ${URL} for ${DURATION_S}s (${botOptions.encoding} snapshots over ${botOptions.transports[0]})`);
+
+  const started = Date.now();
+  let lastReport = started;
+  const reporter = setInterval(() => {
+    const now = Date.now();
+    report((now - started) / 1000, (now - lastReport) / 1000);
+    lastReport = now;
+  }, REPORT_S * 1000);
+
+  for (let i = 0; i < BOTS; i++) {
+    const bot = createBot({ ...botOptions, name: `Bot ${i + 1}` });
+    bots.push(bot);
+    bot.start();
+    if (RAMP_MS) await wait(RAMP_MS);
+  }
+
+  let stopped = false;
+  const stop = async () => {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(reporter);
+    const now = Date.now();
+    await report((now - started) / 1000, Math.max(0.001, (now - lastReport) / 1000));
+    for (const b of bots) b.stop();
+    const code = summary((now - started) / 1000);
+    setTimeout(() => process.exit(code), 200);
+  };
+  process.once('SIGINT', stop);
+  const left = DURATION_S * 1000 - (Date.now() - started);
+  setTimeout(stop, Math.max(0, left));
+})();
@@ -4,57 +4,177 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const SnapshotCodec = require('./public/snapshot-codec');
+const Avatar = require('./public/avatar');
+const CampusSchema = require('./lib/campus-schema');
+const { createChatModerator } = require('./lib/chat-moderation');
+const { createNameRegistry, nameKey } = require('./lib/name-registry');
+const { createCommandRegistry } = require('./lib/chat-commands');
+const { createPaintLayer } = require('./lib/paint-layer');
+const { createMinigame } = require('./lib/minigame');
+const { resolveCircle, moveCircle } = require('./lib/collision');
 
 // ------------------------------ Config ------------------------------
 const PORT = process.env.PORT || 3000;
 const TICK_MS = 50;                 // 20 FPS server tick
 const DT = TICK_MS / 1000;          // seconds per tick
 
-const CAMPUS_SPEED = 210;           // user-controlled movement (px/s)
+const CAMPUS_SPEED = 210;           // user-controlled movement (px/s); campus.json rules.speed overrides
 const ROOM_SPEED   = 220;
 
 const FRICTION = 0.90;              // decay for knockback velocity each tick
 
+const PLAYER_RADIUS = 18;           // collision radius (matches client avatar)
+
+const SPAWN_JITTER_PX = 40;         // scatter new arrivals around the spawn point
+const DOOR_OFFSET_PX  = 6;          // gap between a building and its default door point
+// Optional named spawn (campus.json "spawns") used for new connections, e.g. during an event
+const SPAWN_POINT = process.env.SPAWN_POINT || null;
+
 // Bat combat tuning
 const BAT_ARC_RAD            = Math.PI * 0.75;  // 135° arc
 const BAT_RANGE_PX           = 70;              // swing reach
 const BAT_KNOCK_PXPS         = 520;             // knockback initial speed
 const BAT_HIT_COOLDOWN_MS    = 350;             // per-victim i-frames
 
+// Balls (campus.json "entities"): simulated in step(), shared by everyone in the space
+const BALL_RADIUS            = 12;              // matches the client drawing
+const BALL_FRICTION          = 0.95;            // velocity kept per tick
+const BALL_BOUNCE            = 0.7;             // speed kept when bouncing off a wall
+const BALL_MAX_PXPS          = 900;
+const BALL_REST_PXPS         = 5;               // slower than this = stopped
+const BALL_DRIBBLE_PXPS      = 260;             // walking into a ball pushes it at least this fast
+const BALL_KICK_PXPS         = 650;             // ball toy kick
+const BALL_KICK_RANGE_PX     = 60;              // ball toy reach (beyond touching)
+const BALL_HIT_PXPS          = 350;             // a kicked ball this fast hits players in a minigame round
+
+// Snapshot protocol: keyframe every N ticks, per-player deltas in between
+const KEYFRAME_EVERY_TICKS = 40;    // 2s at 20 FPS
+const SNAPSHOT_ENCODINGS   = ['json', 'binary'];
+// SNAPSHOT_STATS=1 logs bytes/tick for legacy full JSON vs delta JSON vs binary
+const SNAPSHOT_STATS       = process.env.SNAPSHOT_STATS === '1';
+const SNAPSHOT_STATS_EVERY_MS = 10000;
+
+// Chat
+const CHAT_MAX_LEN     = 140;
+const CHAT_HISTORY_MAX = 100;       // messages kept per space (campus, room, subroom)
+// Proximity chat: how far (px) a line carries in the same space; 0 = the whole space.
+// campus.json "chat" blocks override it (top level, then room, then subroom).
+const CHAT_RADIUS = Number(process.env.CHAT_RADIUS ?? 500);
+// Moderation config (blocklist, rate limits, mutes); see moderation.example.json
+const MODERATION_CONFIG = process.env.MODERATION_CONFIG || path.join(__dirname, 'moderation.json');
+
 // Toys available (order matters: matches client)
 const TOYS = ['bat','cake','pizza','mic','book','flag','laptop','ball','paint'];
-
-// Duplicate-name policy:
-// Keep the earliest-connected user with a given name; kick all later copies.
-const ENFORCE_UNIQUE_NAMES = true;
+// Server-enforced limits per toy: cooldownMs between uses, and at most `rate` uses
+// in any TOY_RATE_WINDOW_MS (so a macro can't stay just under the cooldown forever)
+const TOY_LIMITS = {
+  bat:    { cooldownMs: 450,  rate: 12 },
+  cake:   { cooldownMs: 1500, rate: 5 },
+  pizza:  { cooldownMs: 1500, rate: 5 },
+  mic:    { cooldownMs: 2000, rate: 4 },
+  book:   { cooldownMs: 1000, rate: 6 },
+  flag:   { cooldownMs: 1000, rate: 6 },
+  laptop: { cooldownMs: 1000, rate: 6 },
+  ball:   { cooldownMs: 500,  rate: 12 },
+  paint:  { cooldownMs: 250,  rate: 20 }
+};
+const TOY_RATE_WINDOW_MS = 10000;
+
+// Hot reload: poll campus.json for edits (CAMPUS_WATCH=0 to disable)
+const CAMPUS_WATCH    = process.env.CAMPUS_WATCH !== '0';
+const CAMPUS_WATCH_MS = 1000;
+
+// A dropped player's state is kept this long; reconnecting with the session
+// token from 'init' picks up where they left off. 0 disables resuming.
+const SESSION_GRACE_MS = Number(process.env.SESSION_GRACE_MS ?? 60000);
+
+// Moderators sign in at /admin (or in game via 'modLogin') with this token.
+// Unset → the moderator console is disabled.
+const MOD_TOKEN        = process.env.MOD_TOKEN || '';
+const MOD_SESSION_MS   = 12 * 60 * 60 * 1000;
+const MOD_LOGIN_LIMIT  = 10;        // failed moderator sign-ins per address per minute (/admin and in game)
+const MOD_LOGIN_SOCKET_LIMIT = 3;   // … and per connection, for in-game sign-ins
+const AUDIT_LOG        = process.env.AUDIT_LOG || path.join(__dirname, 'logs', 'audit.log');
+const AUDIT_KEEP       = 200;       // entries kept in memory for the console
+const ANNOUNCE_MAX_LEN = 200;
+
+const ROLL_COOLDOWN_MS = 2000;      // /roll posts to the whole space
+
+// Minimap fast travel: jump to a building's door at most this often
+const TRAVEL_COOLDOWN_MS = 15000;
+
+// Emotes play over the avatar for everyone in the space. 'sit' is a pose that
+// lasts until you sit again (or change space) and ignores movement keys meanwhile.
+const EMOTES = ['wave', 'dance', 'sit', 'laugh', 'heart', 'thumbsup'];
+const EMOTE_COOLDOWN_MS = 1500;
+
+// Claimed names (passcode-protected) are stored here
+const NAMES_FILE = process.env.NAMES_FILE || path.join(__dirname, 'data', 'names.json');
+const NAME_CHECK_LIMIT      = 5;    // passcode checks + claims per session per minute …
+const NAME_CHECK_ADDR_LIMIT = 240;  // … and per address: only a backstop, since a whole school may share one
+
+// Paint toy: strokes stay on a per-space layer, saved here
+const PAINT_FILE         = process.env.PAINT_FILE || path.join(__dirname, 'data', 'paint.json');
+const PAINT_MAX_POINTS   = 20000;   // per space; the oldest strokes go first
+const PAINT_BATCH_POINTS = 64;      // points per 'paint' batch (clients flush every ~100 ms)
+const PAINT_MIN_BATCH_MS = 40;
+const PAINT_WIDTH        = 6;       // drag strokes
+const PAINT_DAB_WIDTH    = 16;      // Space / E / right-click
+
+// NPCs (campus.json "npcs")
+const NPC_SPEED            = 70;    // px/s along the patrol, unless the NPC sets its own
+const NPC_PAUSE_MS         = 2000;  // wait at each waypoint
+const NPC_TALK_RADIUS      = 90;    // walking up this close (or pressing E) gets a line
+const NPC_TALK_COOLDOWN_MS = 800;   // per player
 
 // ------------------------------ Campus loading ------------------------------
-/** Strip // and /* *\/ comments from JSON for leniency */
-function stripJsonComments(str) {
-  if (typeof str !== 'string') return str;
-  let s = str.replace(/\/\*[\s\S]*?\*\//g, '');
-  s = s.replace(/(^|[^:\\])\/\/.*$/gm, '$1');
-  return s.trim();
-}
+const { stripJsonComments } = CampusSchema;
 
-/** Load campus.json from ./public/campus.json or ./campus.json (prefer public) */
-function loadCampusFile() {
+/** Locate campus.json: ./public/campus.json or ./campus.json (prefer public) */
+function campusFilePath() {
   const publicPath = path.join(__dirname, 'public', 'campus.json');
   const rootPath   = path.join(__dirname, 'campus.json');
-  let filePath = null;
+  if (fs.existsSync(publicPath)) return publicPath;
+  if (fs.existsSync(rootPath)) return rootPath;
+  return null;
+}
 
-  if (fs.existsSync(publicPath)) filePath = publicPath;
-  else if (fs.existsSync(rootPath)) filePath = rootPath;
+/**
+ * Read, parse and validate campus.json (same validator as `npm run lint-campus`).
+ * Logs warnings; throws with every error (file:line:col) if the map is unusable.
+ */
+function readCampusFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  const parsed = JSON.parse(stripJsonComments(raw));
+  let result = CampusSchema.validateCampus(parsed, { playerRadius: PLAYER_RADIUS });
+
+  if (result.errors.length || result.warnings.length) {
+    // Re-run with source locations so the log points at the right lines
+    try {
+      const { locations } = CampusSchema.parseWithLocations(raw);
+      result = CampusSchema.validateCampus(parsed, { playerRadius: PLAYER_RADIUS, locations });
+    } catch { /* stripJsonComments accepted something stricter parsing didn't; paths still help */ }
+  }
+  const shown = path.relative(process.cwd(), filePath) || filePath;
+  for (const w of result.warnings) console.warn('[server]', CampusSchema.formatIssue(w, 'warning', shown));
+  if (result.errors.length) {
+    throw new Error(result.errors.map(e => CampusSchema.formatIssue(e, 'error', shown)).join('\n'));
+  }
+  return parsed;
+}
 
+/** Load campus.json at startup (null if missing/invalid) */
+function loadCampusFile() {
+  const filePath = campusFilePath();
   if (!filePath) return null;
 
   try {
-    const raw = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
-    const parsed = JSON.parse(stripJsonComments(raw));
-    return parsed;
+    return readCampusFile(filePath);
   } catch (e) {
     console.error('[server] Failed to parse campus.json:', e.message);
     return null;
@@ -78,6 +198,30 @@ const DEFAULT_WORLD = {
 let world = loadCampusFile() || DEFAULT_WORLD;
 console.log('[server] Campus source:', world === DEFAULT_WORLD ? 'DEFAULT (no campus.json found/valid)' : 'campus.json loaded');
 
+// Last (re)load result, reported on /healthz
+const campusStatus = { loadedAt: Date.now(), error: null };
+
+// ------------------------------ Chat moderation ------------------------------
+/** Load moderation.json if present (comments allowed); defaults otherwise */
+function loadModerationConfig() {
+  if (!fs.existsSync(MODERATION_CONFIG)) return {};
+  try {
+    const raw = fs.readFileSync(MODERATION_CONFIG, 'utf8').replace(/^\uFEFF/, '');
+    const cfg = JSON.parse(stripJsonComments(raw));
+    console.log('[server] Moderation config:', path.relative(process.cwd(), MODERATION_CONFIG) || MODERATION_CONFIG);
+    return cfg;
+  } catch (e) {
+    console.error('[server] Failed to parse moderation config, using defaults:', e.message);
+    return {};
+  }
+}
+
+const chatModerator = createChatModerator(loadModerationConfig());
+
+const names = createNameRegistry({ file: NAMES_FILE });
+
+const paint = createPaintLayer({ file: PAINT_FILE, maxPoints: PAINT_MAX_POINTS });
+
 // ------------------------------ App & IO ------------------------------
 const app = express();
 const server = http.createServer(app);
@@ -87,20 +231,55 @@ const io = new Server(server, {
   path: '/socket.io'
 });
 
-// Static: serve from ./public (if exists) and the project root
-const publicDir = path.join(__dirname, 'public');
-if (fs.existsSync(publicDir)) app.use(express.static(publicDir, { fallthrough: true }));
-app.use(express.static(__dirname, { fallthrough: true }));
-
 // Endpoint to provide the exact campus map the server is using
+// (registered before static so a half-edited file on disk is never served)
 app.get('/campus.json', (req, res) => res.json(world));
 
+// Moderator console (token login → httpOnly session cookie)
+const adminDir = path.join(__dirname, 'admin');
+app.get('/admin', (req, res) => {
+  if (!MOD_TOKEN) return res.status(503).type('html').send(adminLoginPage('The moderator console is disabled. Start the server with MOD_TOKEN set.'));
+  if (!modSessionFrom(req.headers.cookie)) return res.type('html').send(adminLoginPage());
+  res.sendFile(path.join(adminDir, 'console.html'));
+});
+app.get('/admin/console.js', (req, res) => res.sendFile(path.join(adminDir, 'console.js')));
+app.get('/admin/admin.css', (req, res) => res.sendFile(path.join(adminDir, 'admin.css')));
+app.post('/admin/login', express.urlencoded({ extended: false, limit: '4kb' }), (req, res) => {
+  if (!MOD_TOKEN) return res.redirect('/admin');
+  if (!loginAllowed(req.socket.remoteAddress)) {
+    return res.status(429).type('html').send(adminLoginPage('Too many attempts. Try again in a minute.'));
+  }
+  const name = safeName(req.body?.name || 'Moderator');
+  if (!tokenMatches(req.body?.token)) {
+    noteFailedLogin(req.socket.remoteAddress);
+    return res.status(401).type('html').send(adminLoginPage('Wrong token.'));
+  }
+  const sid = crypto.randomBytes(24).toString('hex');
+  modSessions.set(sid, { name, expires: Date.now() + MOD_SESSION_MS });
+  audit({ name, via: 'console' }, 'login', {});
+  res.setHeader('Set-Cookie', `mod_session=${sid}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${MOD_SESSION_MS / 1000}`);
+  res.redirect('/admin');
+});
+app.post('/admin/logout', (req, res) => {
+  const sid = parseCookies(req.headers.cookie).mod_session;
+  if (sid) modSessions.delete(sid);
+  res.setHeader('Set-Cookie', 'mod_session=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0');
+  res.redirect('/admin');
+});
+app.get('/admin/audit.json', (req, res) => {
+  if (!modSessionFrom(req.headers.cookie)) return res.status(401).json({ error: 'unauthorized' });
+  res.json(auditTrail);
+});
+
+// Static: serve ./public only. The project root holds data/ (claimed names with
+// their passcode hashes) and logs/ (the moderator audit trail), which stay private.
+const publicDir = path.join(__dirname, 'public');
+if (fs.existsSync(publicDir)) app.use(express.static(publicDir, { fallthrough: true }));
+
 // Root → serve index.html if present, else a minimal fallback page
 app.get('/', (req, res) => {
   const publicIndex = path.join(publicDir, 'index.html');
-  const rootIndex   = path.join(__dirname, 'index.html');
   if (fs.existsSync(publicIndex)) return res.sendFile(publicIndex);
-  if (fs.existsSync(rootIndex))   return res.sendFile(rootIndex);
   res
     .status(200)
     .type('html')
@@ -108,11 +287,11 @@ app.get('/', (req, res) => {
 <title>Virtual Campus</title>
 <style>body{margin:0;background:#0b0f14;color:#e8ecff;font:14px/1.45 system-ui;padding:24px}</style>
 <h1>Virtual Campus</h1>
-<p>No <code>index.html</code> found. Place it in <code>./public</code> or next to <code>server.js</code>.</p>`);
+<p>No <code>index.html</code> found. Place it in <code>./public</code>.</p>`);
 });
 
 // Health
-app.get('/healthz', (_req, res) => res.json({ ok: true }));
+app.get('/healthz', (_req, res) => res.json({ ok: true, campus: campusStatus, players: players.size, tick: tickStats() }));
 
 // ------------------------------ Utilities ------------------------------
 const players = new Map();
@@ -124,15 +303,6 @@ function safeName(s = '') {
   return s || 'Penguin';
 }
 
-function normName(s = '') {
-  return String(s).toLowerCase().replace(/\s+/g, ' ').trim();
-}
-
-function randomColor() {
-  const hues = [200, 210, 220, 235, 250, 260];
-  const h = hues[Math.floor(Math.random()*hues.length)];
-  return `hsl(${h}deg 70% 70%)`;
-}
 function roomById(id) {
   return (world.rooms || []).find(r => r.id === id) || null;
 }
@@ -141,144 +311,113 @@ function subroomById(room, subId) {
   return (room.subrooms || []).find(s => s.id === subId) || null;
 }
 
-// Kick a socket by id with a reason (sends 'kicked' first)
+// Kick a socket by id with a reason (sends 'kicked' first).
+// Kicked players can't resume their session.
 function kickSocket(id, reason) {
   const s = io.sockets.sockets.get(id);
   if (!s) return;
+  endSession(players.get(id));
   try { s.emit('kicked', { reason }); } catch {}
   setTimeout(() => { try { s.disconnect(true); } catch {} }, 10);
 }
 
-// Enforce unique names: keep earliest-connected, kick later copies
-function enforceUniqueNames() {
-  if (!ENFORCE_UNIQUE_NAMES) return;
-  const by = new Map(); // normName -> [{id, connectedAt}]
-  for (const [, p] of players) {
-    const key = normName(p.name);
-    if (!key) continue;
-    if (!by.has(key)) by.set(key, []);
-    by.get(key).push({ id: p.id, connectedAt: p.connectedAt || 0 });
-  }
-  for (const [key, arr] of by) {
-    if (arr.length <= 1) continue;
-    arr.sort((a,b) => a.connectedAt - b.connectedAt);
-    const keep = arr[0].id;
-    for (let i = 1; i < arr.length; i++) {
-      if (arr[i].id !== keep) {
-        kickSocket(arr[i].id, `duplicate_name:${key}`);
-      }
-    }
-  }
+/** Take a player out of the world, along with their minigame entry and place in a room line */
+function removePlayer(p) {
+  players.delete(p.id);
+  leaveGameIn(p, spaceOf(p));
+  leaveQueue(p);
 }
 
-// Sweep every 15s to catch duplicates that slipped in earlier
-setInterval(enforceUniqueNames, 15000);
-
 // ------------------------------ Socket handlers ------------------------------
 io.on('connection', (socket) => {
-  // Create player; name stays 'Penguin' until client sends 'join'
+  // Resume a dropped session (same name, color, place and toy), or create a
+  // fresh player whose name stays 'Penguin' until the client sends 'join'
+  const prev = claimSession(socket.handshake.auth?.session);
+  const start = prev ? resumePoint(prev) : arrivalPoint();
+  // Keep the resumed name unless someone else picked it up while we were gone
+  const keepName = !!(prev && prev.named && !nameHolder(nameKey(prev.name), socket.id));
+  const look = prev ? lookOf(prev) : Avatar.random(); // the client sends its saved look with 'join'
   players.set(socket.id, {
     id: socket.id,
-    name: 'Penguin',
-    color: randomColor(),
-    x: 120 + Math.random()*220, y: 140 + Math.random()*180,
-    rx: 240, ry: 340,
+    nid: allocNid(),
+    name: keepName ? prev.name : 'Penguin',
+    named: keepName,
+    color: look.color,
+    hat: look.hat,
+    tagColor: look.tagColor,
+    x: start.x, y: start.y,
+    rx: start.rx, ry: start.ry,
     kvx: 0, kvy: 0,
     rkvx: 0, rkvy: 0,
-    roomId: null,
-    subroomId: null,
-    equippedKind: null,
+    roomId: start.roomId,
+    subroomId: start.subroomId,
+    equippedKind: prev ? prev.equippedKind : null,
     input: { up:false, down:false, left:false, right:false },
-    chatText: null,
-    chatTs: 0,
-    lastHitTs: 0,
-    connectedAt: Date.now()
+    chatMod: prev ? prev.chatMod : chatModerator.createState(), // mutes survive a reconnect
+    lastHitTs: prev ? prev.lastHitTs : 0,
+    pose: null,               // 'sit' | null
+    lastEmoteTs: 0,
+    lastTravelTs: prev ? prev.lastTravelTs : 0, // reconnecting doesn't skip the travel cooldown
+    toyUses: prev ? prev.toyUses : {}, // kind -> recent use timestamps (limits survive a reconnect)
+    queuedFor: null,          // space key of the room line we're waiting in
+    snapEncoding: 'json',
+    needKeyframe: true,
+    // Staff already signed in at /admin in this browser are moderators in game too
+    role: prev?.role === 'mod' || modSessionFrom(socket.handshake.headers.cookie) ? 'mod' : 'player',
+    modLoginFails: [],        // failed in-game moderator sign-ins (timestamps)
+    nameChecks: prev ? prev.nameChecks : [], // passcode checks and claims (timestamps; see nameCheckAllowed)
+    nameCheckBusy: false,
+    address: socket.handshake.address,
+    connectedAt: prev ? prev.connectedAt : Date.now()
   });
+  const session = attachSession(players.get(socket.id), prev);
 
   // Send authoritative world (the same one served at /campus.json)
   socket.emit('init', {
     id: socket.id,
-    radius: 18,
+    radius: PLAYER_RADIUS,
     world,
-    toys: TOYS
+    toys: TOYS,
+    toyCooldowns: Object.fromEntries(TOYS.map(k => [k, TOY_LIMITS[k].cooldownMs])),
+    travelCooldownMs: TRAVEL_COOLDOWN_MS,
+    snapshot: {
+      version: SnapshotCodec.VERSION,
+      encodings: SNAPSHOT_ENCODINGS,
+      keyframeEvery: KEYFRAME_EVERY_TICKS
+    },
+    session: { token: session, graceMs: SESSION_GRACE_MS },
+    resumed: prev ? { name: keepName ? prev.name : null, look } : null
   });
-
-  // Client sets their name here (and we confirm back).
-  // If another user already has this name (case/space-insensitive),
-  // we KEEP the earliest-connected user and KICK the later "copy".
-  socket.on('join', (rawName) => {
+  joinSpace(socket, players.get(socket.id));
+  socket.emit('occupancy', occupancySummary());
+  socket.emit('role', { role: players.get(socket.id).role });
+  if (announcement && announcement.until > Date.now()) socket.emit('announcement', announcement);
+
+  // In-game moderator sign-in (same token as /admin)
+  socket.on('modLogin', (msg) => {
+    const { token } = msg || {};
     const p = players.get(socket.id);
-    if (!p) return;
-    const desired = safeName(rawName);
-    const key = normName(desired);
-
-    // Find all users currently holding that name (normalized)
-    const holders = [];
-    for (const [, q] of players) if (normName(q.name) === key) {
-      holders.push(q);
-    }
-
-    // If no one has it (or only me), set & confirm
-    if (holders.length === 0 || (holders.length === 1 && holders[0].id === socket.id)) {
-      p.name = desired;
-      io.to(socket.id).emit('profile', { id: p.id, name: p.name });
-      return;
-    }
-
-    // Some have it already → keep earliest-connected holder, kick others
-    holders.sort((a,b) => (a.connectedAt||0) - (b.connectedAt||0));
-    const owner = holders[0];
-
-    if (owner.id !== socket.id) {
-      // I'm a copy → kick me
-      io.to(socket.id).emit('nameError', { code: 'duplicate', name: desired });
-      kickSocket(socket.id, `duplicate_name:${key}`);
-      return;
-    }
-
-    // I am the owner already; set name (if I hadn't yet) and kick any later copies
-    p.name = desired;
-    for (let i = 1; i < holders.length; i++) {
-      if (holders[i].id !== owner.id) {
-        kickSocket(holders[i].id, `duplicate_name:${key}`);
-      }
-    }
-    io.to(socket.id).emit('profile', { id: p.id, name: p.name });
+    if (p) grantModRole(socket, p, token);
   });
 
-  // (optional alias)
-  socket.on('setName', (rawName) => {
-    // Delegate to same logic as 'join'
-    io.of('/').adapter.emit('join', rawName); // no-op; kept for compatibility
-    // Simpler: call join handler body directly
-    const p = players.get(socket.id);
-    if (!p) return;
-    const desired = safeName(rawName);
-    const key = normName(desired);
-
-    const holders = [];
-    for (const [, q] of players) if (normName(q.name) === key) holders.push(q);
+  // Client picks a name: a string, or { name, passcode, claim } for claimed names.
+  // Problems come back as 'nameError' (the name modal shows them); success as 'profile'.
+  socket.on('join', (req) => handleJoin(socket, req));
+  socket.on('setName', (req) => handleJoin(socket, req)); // (optional alias)
 
-    holders.sort((a,b) => (a.connectedAt||0) - (b.connectedAt||0));
-    const owner = holders[0];
-
-    if (owner && owner.id !== socket.id) {
-      io.to(socket.id).emit('nameError', { code: 'duplicate', name: desired });
-      kickSocket(socket.id, `duplicate_name:${key}`);
-      return;
-    }
-
-    p.name = desired;
-    for (let i = 1; i < holders.length; i++) {
-      if (holders[i].id !== socket.id) kickSocket(holders[i].id, `duplicate_name:${key}`);
-    }
-    io.to(socket.id).emit('profile', { id: p.id, name: p.name });
+  // Snapshot encoding negotiated after 'init' (default JSON)
+  socket.on('snapshotEncoding', (msg) => {
+    const { encoding } = msg || {};
+    const p = players.get(socket.id);
+    if (!p || !SNAPSHOT_ENCODINGS.includes(encoding)) return;
+    p.snapEncoding = encoding;
+    joinSpace(socket, p);
   });
 
   // Input movement
   socket.on('input', (inp) => {
     const p = players.get(socket.id);
-    if (!p) return;
+    if (!p || !inp) return;
     p.input = {
       up: !!inp.up, down: !!inp.down,
       left: !!inp.left, right: !!inp.right
@@ -289,16 +428,28 @@ io.on('connection', (socket) => {
   socket.on('chat', (txt) => {
     const p = players.get(socket.id);
     if (!p) return;
-    const t = String(txt || '').slice(0, 140);
-    p.chatText = t;
-    p.chatTs = Date.now();
+    let t = String(txt || '').slice(0, CHAT_MAX_LEN).trim();
+    if (!t) return;
+
+    // "/cmd …" runs a chat command (see "Chat commands"); "//text" is chat that starts with "/"
+    if (t.startsWith('/') && !t.startsWith('//')) {
+      commands.dispatch(commandContext(socket, p), t);
+      return;
+    }
+    if (t.startsWith('//')) t = t.slice(1);
+    sayInChat(socket, p, t);
   });
 
   // Toys
-  socket.on('equipKind', ({ kind }) => {
+  socket.on('equipKind', (msg) => {
+    const { kind } = msg || {};
     const p = players.get(socket.id);
     if (!p) return;
     if (!TOYS.includes(kind)) return;
+    if (!toyAllowed(rulesFor(p), kind)) {
+      socket.emit('equipRejected', { kind, message: `No ${kind} here.` });
+      return;
+    }
     p.equippedKind = kind;
   });
   socket.on('clearEquip', () => {
@@ -308,45 +459,79 @@ io.on('connection', (socket) => {
   });
 
   // Rooms / Subrooms
-  socket.on('enterRoom', ({ roomId }) => {
+  // { queue: true }: if it's full, wait in line instead of being turned away
+  socket.on('enterRoom', (msg) => {
+    const { roomId, queue } = msg || {};
     const p = players.get(socket.id);
     const r = roomById(roomId);
     if (!p || !r) return;
-    p.roomId = r.id;
-    p.subroomId = null;
-    const spawn = r?.interior?.spawn || { x: (r?.interior?.w || 1000)/2, y: (r?.interior?.h || 600)/2 };
-    p.rx = spawn.x; p.ry = spawn.y;
-    p.kvx = p.kvy = 0; p.rkvx = p.rkvy = 0;
-    socket.emit('roomChanged', { roomId: p.roomId, subroomId: p.subroomId });
+    if (denyRoom(socket, p, r, null, queue === true)) return;
+    moveToRoom(socket, p, r);
   });
 
-  socket.on('enterSubroom', ({ roomId, subroomId }) => {
+  socket.on('enterSubroom', (msg) => {
+    const { roomId, subroomId, queue } = msg || {};
     const p = players.get(socket.id);
     const r = roomById(roomId);
     const sr = subroomById(r, subroomId);
     if (!p || !r || !sr) return;
-    p.roomId = r.id;
-    p.subroomId = sr.id;
-    const spawn = sr?.interior?.spawn || { x: (sr?.interior?.w || 1000)/2, y: (sr?.interior?.h || 600)/2 };
-    p.rx = spawn.x; p.ry = spawn.y;
-    p.kvx = p.kvy = 0; p.rkvx = p.rkvy = 0;
-    socket.emit('roomChanged', { roomId: p.roomId, subroomId: p.subroomId });
+    if (denyRoom(socket, p, r, sr, queue === true)) return;
+    moveToSubroom(socket, p, r, sr);
+  });
+
+  // E next to an NPC: its next line
+  socket.on('npcTalk', (msg) => {
+    const { id } = msg || {};
+    const p = players.get(socket.id);
+    const npc = npcs.get(id);
+    if (!p || !npc || npc.trigger === 'proximity' || spaceOf(npc) !== spaceOf(p)) return;
+    const a = positionOf(p), b = positionOf(npc);
+    if (Math.hypot(a.x - b.x, a.y - b.y) > NPC_TALK_RADIUS * 1.5) return;
+    npcSay(npc, p, Date.now());
+  });
+
+  // Minimap fast travel: out to a building's door on campus
+  socket.on('travel', (msg) => {
+    const { roomId } = msg || {};
+    const p = players.get(socket.id);
+    if (!p) return;
+    const now = Date.now();
+    const refused = travelBlock(p, roomId, now);
+    if (refused) {
+      socket.emit('travelRejected', { roomId, ...refused });
+      return;
+    }
+    p.lastTravelTs = now;
+    moveToCampus(socket, p, spawns.doors.get(roomId));
+    socket.emit('traveled', { roomId, cooldownMs: TRAVEL_COOLDOWN_MS });
+  });
+
+  socket.on('leaveQueue', () => {
+    const p = players.get(socket.id);
+    if (p) leaveQueue(p);
   });
 
   socket.on('leaveRoom', () => {
     const p = players.get(socket.id);
     if (!p) return;
-    p.roomId = null;
-    p.subroomId = null;
-    p.kvx = p.kvy = 0; p.rkvx = p.rkvy = 0;
-    socket.emit('roomChanged', { roomId: null, subroomId: null });
+    moveToCampus(socket, p);
   });
 
   // Actions (right-click / space / E)
-  socket.on('action', ({ kind, target, aid }) => {
+  socket.on('action', (msg) => {
+    const { kind, target, aid } = msg || {};
     const a = players.get(socket.id);
     if (!a) return;
     if (a.equippedKind !== kind) return;
+    if (!toyAllowed(rulesFor(a), kind)) {
+      socket.emit('actionRejected', { aid, kind, reason: 'not_allowed', message: `No ${kind} here.` });
+      return;
+    }
+    const refused = useToyLimit(a, kind, Date.now());
+    if (refused) {
+      socket.emit('actionRejected', { aid, kind, ...refused });
+      return;
+    }
 
     const inRoom = !!a.roomId;
     const origin = inRoom ? { x: a.rx, y: a.ry } : { x: a.x, y: a.y };
@@ -364,15 +549,1302 @@ io.on('connection', (socket) => {
       ts: Date.now()
     };
 
-    io.emit('action', payload);
+    io.to(spaceOf(a)).emit('action', payload);
 
     if (kind === 'bat') doBatHit(a, payload);
+    if (kind === 'ball') doBallKick(a, payload);
+    if (kind === 'paint') addPaint(socket, a, [tgt.x, tgt.y], null, PAINT_DAB_WIDTH);
+  });
+
+  // Minigame rounds (rooms with a campus.json "minigame")
+  socket.on('gameJoin', (msg) => {
+    const { mode } = msg || {};
+    const p = players.get(socket.id);
+    const game = p && gameFor(p);
+    if (!game) return;
+    const res = game.join(p.id, p.name, typeof mode === 'string' ? mode : null);
+    if (!res.ok) { socket.emit('gameRejected', { message: res.message }); return; }
+    broadcastGame(p.roomId);
+  });
+
+  socket.on('gameLeave', () => {
+    const p = players.get(socket.id);
+    if (p) leaveGameIn(p, spaceOf(p));
+  });
+
+  // Paint strokes, batched by the client while dragging with the paint toy
+  socket.on('paint', (msg) => {
+    const { seq, points } = msg || {};
+    const p = players.get(socket.id);
+    if (!p || p.equippedKind !== 'paint' || !Array.isArray(points)) return;
+    const now = Date.now();
+    if (now - (p.lastPaintTs || 0) < PAINT_MIN_BATCH_MS) {
+      socket.emit('paintRejected', { seq, reason: 'rate' });
+      return;
+    }
+    p.lastPaintTs = now;
+    addPaint(socket, p, points.slice(0, PAINT_BATCH_POINTS * 2), Number.isInteger(seq) ? seq : null, PAINT_WIDTH);
+  });
+
+  // Emotes: validated and rate-limited here, then replayed by everyone in the space
+  socket.on('emote', (msg) => {
+    const { emote } = msg || {};
+    const p = players.get(socket.id);
+    if (!p || !EMOTES.includes(emote)) return;
+    const now = Date.now();
+    const standingUp = emote === 'sit' && p.pose === 'sit'; // never make anyone wait to get up
+    const wait = p.lastEmoteTs + EMOTE_COOLDOWN_MS - now;
+    if (wait > 0 && !standingUp) {
+      socket.emit('emoteRejected', { emote, reason: 'cooldown', retryInMs: wait });
+      return;
+    }
+    p.lastEmoteTs = now;
+    if (emote === 'sit') p.pose = standingUp ? null : 'sit';
+    else if (emote === 'dance') p.pose = null; // dancing gets you up
+    io.to(spaceOf(p)).emit('emote', { id: p.id, emote: standingUp ? 'stand' : emote, pose: p.pose, ts: now });
   });
 
   socket.on('disconnect', () => {
-    players.delete(socket.id);
+    const p = players.get(socket.id);
+    if (p) {
+      removePlayer(p);
+      detachSession(p);
+    }
+  });
+});
+
+// ------------------------------ Spaces (interest management) ------------------------------
+// Every player lives in exactly one space: the campus, a room lobby, or a subroom.
+// Sockets join a Socket.IO room per space so snapshots/actions only reach viewers who can see them.
+function spaceKey(roomId, subroomId) {
+  if (!roomId) return 'campus';
+  return subroomId ? `room:${roomId}/${subroomId}` : `room:${roomId}`;
+}
+function spaceOf(p) { return spaceKey(p.roomId, p.subroomId); }
+
+// Binary-snapshot sockets additionally join `${space}#bin`.
+function binRoom(space) { return `${space}#bin`; }
+
+/** Move a socket into the Socket.IO room for the player's current space and tell the client */
+function joinSpace(socket, p) {
+  const next = spaceOf(p);
+  const entering = p.space !== next;
+  if (entering && p.space) leaveGameIn(p, p.space);
+  if (entering) leaveQueue(p); // went somewhere else after all
+  if (p.space) { socket.leave(p.space); socket.leave(binRoom(p.space)); }
+  socket.join(next);
+  if (p.snapEncoding === 'binary') socket.join(binRoom(next));
+  p.space = next;
+  p.needKeyframe = true; // deltas are relative to the space, so start fresh
+  p.pose = null;         // walking through a door stands you up
+  if (p.equippedKind && !toyAllowed(rulesFor(p), p.equippedKind)) p.equippedKind = null; // left at the door
+  socket.emit('roomChanged', { roomId: p.roomId, subroomId: p.subroomId });
+  if (entering) {
+    sendChatHistory(socket, p);
+    socket.emit('paintLayer', { space: next, strokes: paint.strokes(next) });
+    const game = gameFor(p);
+    if (game) socket.emit('gameState', { roomId: p.roomId, ...game.view() });
+  }
+}
+
+/** Enter a room lobby (coming back out of a subroom → stand at that subroom's door) */
+function moveToRoom(socket, p, r) {
+  const fromSub = p.roomId === r.id && p.subroomId ? spawns.subDoors.get(subKey(r.id, p.subroomId)) : null;
+  const pos = fromSub || spawns.roomEntries.get(r.id);
+  p.roomId = r.id;
+  p.subroomId = null;
+  p.rx = pos.x; p.ry = pos.y;
+  p.kvx = p.kvy = 0; p.rkvx = p.rkvy = 0;
+  joinSpace(socket, p);
+}
+
+function moveToSubroom(socket, p, r, sr) {
+  const pos = spawns.subEntries.get(subKey(r.id, sr.id));
+  p.roomId = r.id;
+  p.subroomId = sr.id;
+  p.rx = pos.x; p.ry = pos.y;
+  p.kvx = p.kvy = 0; p.rkvx = p.rkvy = 0;
+  joinSpace(socket, p);
+}
+
+/** Back to campus: reappear outside the building we just left (or at `pos`) */
+function moveToCampus(socket, p, pos) {
+  pos = pos || (p.roomId && spawns.doors.get(p.roomId)) || placeInSpace(p.x, p.y, null, null);
+  p.roomId = null;
+  p.subroomId = null;
+  p.x = pos.x; p.y = pos.y;
+  p.kvx = p.kvy = 0; p.rkvx = p.rkvy = 0;
+  joinSpace(socket, p);
+}
+
+/** Why p can't go into the room (or subroom) right now: { reason, message } or null */
+function entryBlock(p, r, sr = null) {
+  // Already inside: moving between lobby/subrooms only checks the subroom
+  if (p.roomId !== r.id) {
+    const closed = closedRooms.get(r.id);
+    if (closed) return { reason: 'closed', message: `${r.name || r.id} is closed${closed.reason ? `: ${closed.reason}` : ''}.` };
+    if (r.locked && p.role !== 'mod') return { reason: 'locked', message: `${r.name || r.id} is locked.` };
+    if (isFull(r, r.id)) return { reason: 'full', message: `${r.name || r.id} is full (${capacityOf(r)} people).` };
+    if (waitingAhead(p, spaceKey(r.id, null))) return { reason: 'full', message: `People are waiting to get into ${r.name || r.id}.` };
+  }
+  if (sr && p.subroomId !== sr.id) {
+    if (sr.locked && p.role !== 'mod') return { reason: 'locked', message: `${sr.name || sr.id} is locked.` };
+    if (isFull(sr, r.id, sr.id)) return { reason: 'full', message: `${sr.name || sr.id} is full (${capacityOf(sr)} people).` };
+    if (waitingAhead(p, spaceKey(r.id, sr.id))) return { reason: 'full', message: `People are waiting to get into ${sr.name || sr.id}.` };
+  }
+  return null;
+}
+
+/**
+ * Refuse entry with a 'roomDenied' reason if the room or subroom can't be entered right
+ * now. With `queue`, a full one puts the player in its line instead.
+ */
+function denyRoom(socket, p, r, sr = null, queue = false) {
+  const block = entryBlock(p, r, sr);
+  if (!block) return false;
+  if (block.reason === 'full' && queue) joinQueue(p, r, sr);
+  else socket.emit('roomDenied', { roomId: r.id, subroomId: sr ? sr.id : null, ...block, queueable: block.reason === 'full' });
+  return true;
+}
+
+/** Headcount per room and per subroom ('lobby' for the room itself) for the client badges, plus closed rooms */
+function occupancySummary() {
+  const rooms = {}, subrooms = {};
+  for (const [, p] of players) {
+    if (!p.roomId) continue;
+    rooms[p.roomId] = (rooms[p.roomId] || 0) + 1;
+    const byRoom = subrooms[p.roomId] || (subrooms[p.roomId] = {});
+    const key = p.subroomId || 'lobby';
+    byRoom[key] = (byRoom[key] || 0) + 1;
+  }
+  return { rooms, subrooms, closed: Array.from(closedRooms.keys()) };
+}
+
+// ------------------------------ Room queues ------------------------------
+// A player turned away from a full room or subroom can wait in line for it ('enterRoom' /
+// 'enterSubroom' with { queue: true }). Every tick the first in each line go in as space
+// frees up; until a line is empty, a free spot is held for it rather than for whoever
+// walks up. One line per player; going somewhere else or disconnecting leaves it.
+const roomQueues = new Map(); // space key -> [playerId], first in line first
+
+function joinQueue(p, r, sr) {
+  leaveQueue(p);
+  const key = spaceKey(r.id, sr ? sr.id : null);
+  if (!roomQueues.has(key)) roomQueues.set(key, []);
+  roomQueues.get(key).push(p.id);
+  p.queuedFor = key;
+  notifyQueue(key);
+}
+
+function leaveQueue(p) {
+  const key = p.queuedFor;
+  if (!key) return;
+  p.queuedFor = null;
+  const line = roomQueues.get(key) || [];
+  const i = line.indexOf(p.id);
+  if (i >= 0) line.splice(i, 1);
+  if (!line.length) roomQueues.delete(key);
+  else notifyQueue(key);
+}
+
+/** Is anyone ahead of p in the line for a space? (p not in it → anyone at all) */
+function waitingAhead(p, key) {
+  const line = roomQueues.get(key);
+  return !!line && line.length > 0 && line[0] !== p.id;
+}
+
+/** Tell everyone in a line their place in it */
+function notifyQueue(key) {
+  const { roomId, subroomId } = parseSpaceKey(key);
+  (roomQueues.get(key) || []).forEach((id, i) => io.to(id).emit('roomQueued', { roomId, subroomId, position: i + 1 }));
+}
+
+function admitFromQueues() {
+  for (const [key, line] of roomQueues) {
+    const { roomId, subroomId } = parseSpaceKey(key);
+    const r = roomById(roomId);
+    const sr = subroomId ? subroomById(r, subroomId) : null;
+    let moved = false;
+    while (line.length) {
+      const p = players.get(line[0]);
+      const socket = io.sockets.sockets.get(line[0]);
+      const block = !r || (subroomId && !sr)
+        ? { reason: 'closed', message: 'That room no longer exists.' }
+        : p && entryBlock(p, r, sr);
+      if (block && block.reason === 'full') break; // still full: keep waiting
+      line.shift();
+      moved = true;
+      if (!p || !socket) continue;
+      p.queuedFor = null;
+      if (block) socket.emit('roomDenied', { roomId, subroomId, ...block });
+      else if (sr) moveToSubroom(socket, p, r, sr);
+      else moveToRoom(socket, p, r);
+    }
+    if (!line.length) roomQueues.delete(key);
+    else if (moved) notifyQueue(key);
+  }
+}
+
+// ------------------------------ Rules ------------------------------
+// campus.json "rules": { pvp, toys, speed, chat, maxOccupancy }. The campus rules apply
+// everywhere; an area (a rect on campus), a room or a subroom overrides them key by key.
+// maxOccupancy isn't inherited: like "capacity", it caps the room (lobby + subrooms) or
+// subroom that sets it.
+const DEFAULT_RULES = { pvp: true, toys: null, speed: null, chat: true };
+
+function areaAt(x, y) {
+  return (world.areas || []).find(a => x >= a.x && x <= a.x + a.w && y >= a.y && y <= a.y + a.h) || null;
+}
+
+/** The rules where a player stands */
+function rulesFor(p) {
+  const r = p.roomId ? roomById(p.roomId) : null;
+  const sr = r && p.subroomId ? subroomById(r, p.subroomId) : null;
+  const own = r ? [r.rules, sr && sr.rules] : [areaAt(p.x, p.y)?.rules];
+  const rules = { ...DEFAULT_RULES, ...(world.rules || {}) };
+  for (const o of own) Object.assign(rules, o || {});
+  delete rules.maxOccupancy;
+  return rules;
+}
+
+function toyAllowed(rules, kind) { return !rules.toys || rules.toys.includes(kind); }
+
+/** Most people allowed in a room or subroom ("capacity", else rules.maxOccupancy); null = no limit */
+function capacityOf(place) {
+  const cap = place.capacity ?? place.rules?.maxOccupancy;
+  return cap >= 1 ? cap : null;
+}
+
+/** At capacity? (subroomId undefined → the whole room) */
+function isFull(place, roomId, subroomId) {
+  const cap = capacityOf(place);
+  if (cap === null) return false;
+  let n = 0;
+  for (const q of players.values()) {
+    if (q.roomId === roomId && (subroomId === undefined || q.subroomId === subroomId)) n++;
+  }
+  return n >= cap;
+}
+
+// ------------------------------ Chat log ------------------------------
+// Each space keeps its last CHAT_HISTORY_MAX messages; entering a space replays the
+// ones you could have heard (see sendChatHistory).
+const chatLogs = new Map(); // space -> [{ msg: { id, ts, fromId, name, text, mentions, kind?, shout? }, at, radius, heardBy }]
+let chatSeq = 0;
+
+/** Moderate and post a public line (bubble + chat panel for everyone in earshot) */
+function sayInChat(socket, p, text, kind) {
+  if (!rulesFor(p).chat) {
+    socket.emit('chatRejected', { reason: 'chat_off', message: 'Chat is off here. Whispers still work.' });
+    return false;
+  }
+  const verdict = chatModerator.check(p.chatMod, text);
+  if (!verdict.ok) {
+    socket.emit('chatRejected', { reason: verdict.reason, message: verdict.message, retryInMs: verdict.retryInMs });
+    return false;
+  }
+  postChat(p, verdict.text, Date.now(), kind);
+  return true;
+}
+
+/** Chat reach where a player stands: { radius, shout } — campus.json "chat", most specific wins */
+function chatRulesFor(roomId, subroomId) {
+  const r = roomId ? roomById(roomId) : null;
+  const sr = r && subroomId ? subroomById(r, subroomId) : null;
+  return { radius: CHAT_RADIUS, shout: true, ...(world.chat || {}), ...((r && r.chat) || {}), ...((sr && sr.chat) || {}) };
+}
+
+function positionOf(p) { return p.roomId ? { x: p.rx, y: p.ry } : { x: p.x, y: p.y }; }
+
+/**
+ * Post a public line. It reaches players in the same space within the chat radius,
+ * or the whole space when the radius is 0 or the speaker shouts (holding the mic).
+ * Every line goes into the space's history along with where it carried.
+ * kind: undefined for normal chat, 'me' for /me actions, 'roll' for dice.
+ */
+function postChat(p, text, ts, kind) {
+  const space = spaceOf(p);
+  const rules = chatRulesFor(p.roomId, p.subroomId);
+  const shout = rules.shout !== false && p.equippedKind === 'mic';
+  const everyone = shout || !(rules.radius > 0);
+  const at = positionOf(p);
+  const hearers = Array.from(players.values()).filter(q => {
+    if (spaceOf(q) !== space) return false;
+    if (everyone || q === p) return true;
+    const qa = positionOf(q);
+    return Math.hypot(qa.x - at.x, qa.y - at.y) <= rules.radius;
+  });
+
+  const msg = { id: ++chatSeq, ts, fromId: p.id, name: p.name, text, mentions: mentionedIds(text, hearers) };
+  if (kind) msg.kind = kind;
+  if (shout) msg.shout = true;
+  const payload = { ...msg, roomId: p.roomId, subroomId: p.subroomId };
+
+  if (!chatLogs.has(space)) chatLogs.set(space, []);
+  const log = chatLogs.get(space);
+  log.push({ msg, at, radius: everyone ? null : rules.radius, heardBy: everyone ? null : new Set(hearers.map(q => q.id)) });
+  if (log.length > CHAT_HISTORY_MAX) log.splice(0, log.length - CHAT_HISTORY_MAX);
+
+  if (everyone) io.to(space).emit('chatMessage', payload);
+  else io.to(hearers.map(q => q.id)).emit('chatMessage', payload);
+  return msg;
+}
+
+/**
+ * Replay the space's history to someone walking in: whole-space lines, lines they
+ * heard last time they were here, and lines said within earshot of where they now stand.
+ */
+function sendChatHistory(socket, p) {
+  const here = positionOf(p);
+  const messages = (chatLogs.get(spaceOf(p)) || [])
+    .filter(e => e.radius === null || e.heardBy.has(p.id) || Math.hypot(e.at.x - here.x, e.at.y - here.y) <= e.radius)
+    .map(e => e.msg);
+  socket.emit('chatHistory', { roomId: p.roomId, subroomId: p.subroomId, messages });
+}
+
+/**
+ * The online player whose name starts `text`, e.g. "Jo Ann see you" → Jo Ann.
+ * Names can contain spaces, so the longest match wins. Returns { player, rest } or null.
+ */
+function leadingPlayerName(text, pool = players.values()) {
+  const byKey = new Map();
+  for (const q of pool) if (q.named) byKey.set(nameKey(q.name), q);
+  const words = String(text).match(/\S+/g) || [];
+  for (let n = Math.min(words.length, 4); n > 0; n--) {
+    const candidate = words.slice(0, n).join(' ').replace(/[,:;!?)]+$/, '');
+    const q = byKey.get(nameKey(candidate));
+    if (q) return { player: q, rest: words.slice(n).join(' ') };
+  }
+  return null;
+}
+
+/** Ids of the players in `pool` (those who hear the line) that it @mentions */
+function mentionedIds(text, pool) {
+  const ids = [];
+  if (!text.includes('@')) return ids;
+  const here = Array.from(pool);
+  for (const m of text.matchAll(/(?:^|\s)@(?=\S)/g)) {
+    const hit = leadingPlayerName(text.slice(m.index + m[0].length), here);
+    if (hit && !ids.includes(hit.player.id)) ids.push(hit.player.id);
+  }
+  return ids;
+}
+
+// ------------------------------ Paint layer ------------------------------
+// The paint toy leaves strokes on a per-space layer (lib/paint-layer.js). A drag
+// arrives as 'paint' batches { seq, points: [x, y, …] }; whatever lands on paintable
+// ground is stored and sent to the space as 'paintStrokes'. Entering a space
+// replays its layer ('paintLayer'); moderators can clear it ('paintCleared').
+//
+// campus.json "paintable" (top level → room → subroom, default true) says whether
+// a space's floor takes paint. Objects/buildings with "paintable": true are murals:
+// they take paint even where the floor doesn't.
+function paintRulesFor(roomId, subroomId) {
+  const r = roomId ? roomById(roomId) : null;
+  const sr = r && subroomId ? subroomById(r, subroomId) : null;
+  const floor = [sr?.paintable, r?.paintable, world.paintable].find(v => typeof v === 'boolean');
+  const rects = r ? ((sr || r).interior?.objects || []) : (world.obstacles || []);
+  return { floor: floor ?? true, murals: rects.filter(o => o.paintable === true) };
+}
+
+function paintableAt(rules, x, y) {
+  return rules.floor || rules.murals.some(o => x >= o.x && x <= o.x + o.w && y >= o.y && y <= o.y + o.h);
+}
+
+/** Split a flat [x, y, …] list into runs of points on paintable ground (clamped to the space) */
+function paintableRuns(p, flat) {
+  const rules = paintRulesFor(p.roomId, p.subroomId);
+  const runs = [];
+  let run = null;
+  for (let i = 0; i + 1 < flat.length; i += 2) {
+    if (!Number.isFinite(flat[i]) || !Number.isFinite(flat[i + 1])) { run = null; continue; }
+    const pt = clampTarget({ x: flat[i], y: flat[i + 1] }, p.roomId, p.subroomId);
+    if (!paintableAt(rules, pt.x, pt.y)) { run = null; continue; }
+    if (!run) runs.push(run = []);
+    run.push(pt.x, pt.y);
+  }
+  return runs;
+}
+
+function addPaint(socket, p, flat, seq, width) {
+  const space = spaceOf(p);
+  const strokes = paintableRuns(p, flat)
+    .map(points => paint.add(space, { name: p.name, color: p.color, width, points }))
+    .filter(Boolean);
+  if (!strokes.length) {
+    socket.emit('paintRejected', { seq, reason: 'not_paintable', message: "Paint doesn't stick here." });
+    return;
+  }
+  io.to(space).emit('paintStrokes', { space, fromId: p.id, seq, strokes });
+}
+
+/** { roomId, subroomId } for a space key ('campus', 'room:id', 'room:id/sub') */
+function parseSpaceKey(key) {
+  const m = /^room:([^/]+)(?:\/(.+))?$/.exec(key);
+  return m ? { roomId: m[1], subroomId: m[2] || null } : { roomId: null, subroomId: null };
+}
+
+// ------------------------------ Names ------------------------------
+// One player per name (compared with nameKey, so look-alikes collide). Free names are
+// first come, first served while their holder is online; claimed names need the passcode.
+function nameHolder(key, exceptId) {
+  for (const [id, q] of players) if (id !== exceptId && q.named && nameKey(q.name) === key) return q;
+  return null;
+}
+
+const NAME_ERRORS = {
+  in_use:            (n) => `Someone online is already using “${n}”.`,
+  passcode_required: (n) => `“${n}” is claimed. Enter its passcode.`,
+  bad_passcode:      () => 'Wrong passcode.',
+  locked:            (n) => `Too many wrong passcodes for “${n}”. Try again in a few minutes.`,
+  rate:              () => 'Too many tries. Wait a minute and try again.',
+  taken:             (n) => `“${n}” was just claimed by someone else.`,
+  weak_passcode:     () => `Passcodes need at least ${names.minPasscode} characters.`,
+  invalid:           () => 'Pick a name with at least one letter or number.'
+};
+
+const nameChecks = new Map(); // address -> [ts] of passcode checks and claims in the last minute
+
+function nameCheckAllowed(p, now) {
+  const recent = (nameChecks.get(p.address) || []).filter(t => now - t < 60000);
+  p.nameChecks = p.nameChecks.filter(t => now - t < 60000);
+  if (recent.length >= NAME_CHECK_ADDR_LIMIT || p.nameChecks.length >= NAME_CHECK_LIMIT) {
+    if (recent.length) nameChecks.set(p.address, recent); else nameChecks.delete(p.address);
+    return false;
+  }
+  recent.push(now);
+  nameChecks.set(p.address, recent);
+  p.nameChecks.push(now);
+  return true;
+}
+
+async function handleJoin(socket, req) {
+  const p = players.get(socket.id);
+  if (!p) return;
+  if (typeof req === 'string') req = { name: req };
+  if (!req || typeof req !== 'object') return;
+  const desired = safeName(req.name);
+  const key = nameKey(desired);
+  const passcode = typeof req.passcode === 'string' ? req.passcode.slice(0, 64) : '';
+  const fail = (code) => socket.emit('nameError', { code, name: desired, message: NAME_ERRORS[code](desired) });
+
+  if (!key) return fail('invalid');
+
+  const ban = activeBan(null, key);
+  if (ban) {
+    kickSocket(socket.id, banReason(ban));
+    return;
+  }
+
+  // Already holding it (e.g. the auto-join after a session resume, or a new look): just confirm
+  if (p.named && nameKey(p.name) === key && !req.claim) {
+    p.name = desired;
+    if (req.look) setLook(p, req.look);
+    socket.emit('profile', { id: p.id, name: p.name, claimed: names.isClaimed(desired), look: lookOf(p) });
+    return;
+  }
+
+  if (nameHolder(key, socket.id)) return fail('in_use');
+
+  let claimed = names.isClaimed(desired);
+  if (claimed && !passcode) return fail('passcode_required');
+  if (claimed || req.claim) {
+    // Each check is an scrypt hash (and a claim a names.json write): one at a time, and rationed
+    if (p.nameCheckBusy || !nameCheckAllowed(p, Date.now())) return fail('rate');
+    p.nameCheckBusy = true;
+    try {
+      if (claimed) {
+        // Wrong guesses lock out this session only: classmates behind the same address are unaffected
+        const v = await names.verify(desired, passcode, p.session);
+        if (!v.ok) return fail(v.code);
+      } else {
+        const c = await names.claim(desired, passcode);
+        if (!c.ok) return fail(c.code);
+        claimed = true;
+        audit({ name: desired, via: 'game' }, 'claimName', {});
+      }
+    } catch (e) {
+      console.error('[server] name check failed:', e);
+      return;
+    } finally {
+      p.nameCheckBusy = false;
+    }
+  }
+
+  // The hashing above is async: the socket may be gone, or someone else got there first
+  if (players.get(socket.id) !== p) return;
+  if (nameHolder(key, socket.id)) return fail('in_use');
+
+  p.name = desired;
+  p.named = true;
+  if (req.look) setLook(p, req.look);
+  socket.emit('profile', { id: p.id, name: p.name, claimed, look: lookOf(p) });
+}
+
+// Avatar editor choices: body color, hat, name tag color (public/avatar.js lists what's allowed)
+function lookOf(p) {
+  return { color: p.color, hat: p.hat || null, tagColor: p.tagColor };
+}
+
+function setLook(p, look) {
+  Object.assign(p, Avatar.sanitize(look, lookOf(p)));
+}
+
+// ------------------------------ Sessions (resume on reconnect) ------------------------------
+// Each player gets a token at 'init'. A reconnect that presents it (handshake auth.session)
+// within SESSION_GRACE_MS gets the same player back instead of a new one.
+const sessions = new Map(); // token -> { playerId, detached: player | null, timer }
+
+/** Claim a session for a new socket; returns the previous player state or null */
+function claimSession(token) {
+  const s = typeof token === 'string' ? sessions.get(token) : null;
+  if (!s) return null;
+  if (s.detached) {
+    clearTimeout(s.timer);
+    const prev = s.detached;
+    s.detached = null;
+    s.timer = null;
+    return prev;
+  }
+  // Still attached: a page refresh beat the old socket's timeout → replace that socket
+  const prev = players.get(s.playerId);
+  if (!prev) { sessions.delete(token); return null; }
+  removePlayer(prev); // its disconnect handler then finds nothing to detach
+  const old = io.sockets.sockets.get(prev.id);
+  if (old) {
+    old.emit('kicked', { reason: 'session_replaced' }); // e.g. a duplicated tab
+    setTimeout(() => { try { old.disconnect(true); } catch {} }, 10);
+  }
+  return prev;
+}
+
+/** Bind player p to its (new or resumed) session; returns the token */
+function attachSession(p, prev) {
+  const token = prev ? prev.session : crypto.randomBytes(18).toString('base64url');
+  sessions.set(token, { playerId: p.id, detached: null, timer: null });
+  p.session = token;
+  return token;
+}
+
+/** Socket dropped: keep the player's state for the grace period */
+function detachSession(p) {
+  const s = sessions.get(p.session);
+  if (!s || s.playerId !== p.id) return;
+  if (SESSION_GRACE_MS <= 0) { sessions.delete(p.session); return; }
+  s.detached = p;
+  s.timer = setTimeout(() => sessions.delete(p.session), SESSION_GRACE_MS);
+}
+
+function endSession(p) {
+  const s = p && sessions.get(p.session);
+  if (!s) return;
+  clearTimeout(s.timer);
+  sessions.delete(p.session);
+}
+
+/** Where a resumed player lands: their old spot, unless the room is gone or closed */
+function resumePoint(prev) {
+  const r = prev.roomId ? roomById(prev.roomId) : null;
+  if (r && !closedRooms.has(r.id)) {
+    const sr = prev.subroomId ? subroomById(r, prev.subroomId) : null;
+    const pos = (sr || !prev.subroomId)
+      ? placeInSpace(prev.rx, prev.ry, r.id, sr ? sr.id : null)
+      : spawns.roomEntries.get(r.id);
+    return { x: prev.x, y: prev.y, rx: pos.x, ry: pos.y, roomId: r.id, subroomId: sr ? sr.id : null };
+  }
+  const pos = (prev.roomId && spawns.doors.get(prev.roomId)) || placeInSpace(prev.x, prev.y, null, null);
+  return { x: pos.x, y: pos.y, rx: prev.rx, ry: prev.ry, roomId: null, subroomId: null };
+}
+
+// ------------------------------ Moderator tools ------------------------------
+// Staff actions (kick, ban, mute, teleport, close room, announce) shared by the
+// /admin console (Socket.IO namespace '/mod') and in-game moderators.
+// Every action is written to the audit trail.
+const modSessions = new Map(); // sid -> { name, expires }
+const loginFailures = new Map(); // address -> [ts]
+const bans = new Map();        // 'addr:<ip>' | 'name:<nameKey>' -> { until, reason, by, name, address }
+const closedRooms = new Map(); // roomId -> { by, reason, ts }
+let announcement = null;       // { text, ts, until, by }
+const auditTrail = [];
+
+function tokenMatches(given) {
+  if (!MOD_TOKEN || typeof given !== 'string') return false;
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(MOD_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function loginAllowed(address) {
+  const now = Date.now();
+  const recent = (loginFailures.get(address) || []).filter(t => now - t < 60000);
+  loginFailures.set(address, recent);
+  return recent.length < MOD_LOGIN_LIMIT;
+}
+function noteFailedLogin(address) {
+  if (!loginFailures.has(address)) loginFailures.set(address, []);
+  loginFailures.get(address).push(Date.now());
+}
+
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const raw = part.slice(i + 1).trim();
+    // A malformed %-escape from some other site's cookie must not throw (this runs in 'connection')
+    try { out[part.slice(0, i).trim()] = decodeURIComponent(raw); } catch { out[part.slice(0, i).trim()] = raw; }
+  }
+  return out;
+}
+
+/** Valid moderator session for a Cookie header, or null */
+function modSessionFrom(cookieHeader) {
+  const sid = parseCookies(cookieHeader).mod_session;
+  const sess = sid && modSessions.get(sid);
+  if (!sess) return null;
+  if (sess.expires < Date.now()) { modSessions.delete(sid); return null; }
+  return sess;
+}
+
+function adminLoginPage(error = '') {
+  const esc = (t) => String(t).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  return `<!doctype html><meta charset="utf-8">
+<title>Moderator sign-in · Virtual Campus</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<link rel="stylesheet" href="/admin/admin.css">
+<main class="login">
+  <h1>Moderator sign-in</h1>
+  ${error ? `<p class="error">${esc(error)}</p>` : ''}
+  ${MOD_TOKEN ? `<form method="post" action="/admin/login">
+    <input name="name" maxlength="16" placeholder="Your name (shown in the audit log)" required autofocus>
+    <input name="token" type="password" placeholder="Moderator token" required>
+    <button type="submit">Sign in</button>
+  </form>` : ''}
+</main>`;
+}
+
+/** Append to the audit trail (memory + logs/audit.log) and push to open consoles */
+function audit(actor, action, details) {
+  const entry = { ts: Date.now(), by: actor?.name || 'system', via: actor?.via || 'system', action, ...details };
+  auditTrail.push(entry);
+  if (auditTrail.length > AUDIT_KEEP) auditTrail.splice(0, auditTrail.length - AUDIT_KEEP);
+  fs.mkdir(path.dirname(AUDIT_LOG), { recursive: true }, () => {
+    fs.appendFile(AUDIT_LOG, JSON.stringify(entry) + '\n', (err) => {
+      if (err) console.error('[server] audit log write failed:', err.message);
+    });
+  });
+  modIo.emit('audit', entry);
+  return entry;
+}
+
+function activeBan(address, nameId) {
+  const now = Date.now();
+  for (const key of [address && `addr:${address}`, nameId && `name:${nameId}`]) {
+    if (!key) continue;
+    const b = bans.get(key);
+    if (!b) continue;
+    if (b.until <= now) { bans.delete(key); continue; }
+    return b;
+  }
+  return null;
+}
+function banReason(b) {
+  const mins = Math.ceil((b.until - Date.now()) / 60000);
+  return `banned:${mins}m${b.reason ? `:${b.reason}` : ''}`;
+}
+
+/** Look a player up by socket id or (normalized) name */
+function findPlayer(idOrName) {
+  if (!idOrName) return null;
+  if (players.has(idOrName)) return players.get(idOrName);
+  const key = nameKey(idOrName);
+  for (const [, p] of players) if (nameKey(p.name) === key) return p;
+  return null;
+}
+
+function targetInfo(p) { return { target: { id: p.id, name: p.name } }; }
+
+function clampMinutes(m, def, max) {
+  const n = Number(m);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : def;
+}
+
+/** Where a teleport lands: 'campus' | 'spawn:<name>' | '<roomId>' | '<roomId>/<subroomId>' */
+function teleportPlayer(p, to) {
+  const socket = io.sockets.sockets.get(p.id);
+  if (!socket) return 'player is not connected';
+  if (!to || to === 'campus') { moveToCampus(socket, p); return null; }
+
+  if (to.startsWith('spawn:')) {
+    const sp = spawns.named.get(to.slice(6));
+    if (!sp) return `unknown spawn "${to.slice(6)}"`;
+    if (!sp.roomId) { moveToCampus(socket, p, placeInSpace(sp.x, sp.y, null, null)); return null; }
+    const r = roomById(sp.roomId), sr = subroomById(r, sp.subroomId);
+    if (sr) moveToSubroom(socket, p, r, sr); else moveToRoom(socket, p, r);
+    const pos = placeInSpace(sp.x, sp.y, sp.roomId, sp.subroomId);
+    p.rx = pos.x; p.ry = pos.y;
+    return null;
+  }
+
+  const [roomId, subroomId] = to.split('/');
+  const r = roomById(roomId);
+  if (!r) return `unknown room "${roomId}"`;
+  if (subroomId) {
+    const sr = subroomById(r, subroomId);
+    if (!sr) return `unknown subroom "${subroomId}"`;
+    moveToSubroom(socket, p, r, sr);
+  } else {
+    if (p.roomId === r.id) p.subroomId = null;
+    moveToRoom(socket, p, r);
+  }
+  return null;
+}
+
+/** Ban p's name (and, with byAddress, their network address too) and kick them */
+function banPlayer(actor, { id, minutes, reason }, byAddress) {
+  const p = findPlayer(id);
+  if (!p) return { ok: false, error: 'no such player' };
+  const mins = clampMinutes(minutes, 60, 7 * 24 * 60);
+  const b = { until: Date.now() + mins * 60000, reason: reason || null, by: actor.name, name: p.name, address: byAddress && !!p.address };
+  bans.set(`name:${nameKey(p.name)}`, b);
+  if (b.address) bans.set(`addr:${p.address}`, b);
+  kickSocket(p.id, banReason(b));
+  audit(actor, byAddress ? 'banip' : 'ban', { ...targetInfo(p), minutes: mins, reason: b.reason });
+  return { ok: true };
+}
+
+const MOD_ACTIONS = {
+  kick(actor, { id, reason }) {
+    const p = findPlayer(id);
+    if (!p) return { ok: false, error: 'no such player' };
+    kickSocket(p.id, `kicked${reason ? `:${reason}` : ''}`);
+    audit(actor, 'kick', { ...targetInfo(p), reason: reason || null });
+    return { ok: true };
+  },
+
+  // By name only: a school behind one NAT shares an address, so banning that is a separate action
+  ban(actor, args) { return banPlayer(actor, args, false); },
+  banip(actor, args) { return banPlayer(actor, args, true); },
+
+  unban(actor, { key }) {
+    const b = bans.get(key);
+    if (!b) return { ok: false, error: 'no such ban' };
+    // Lift every key belonging to the same ban (name + address)
+    for (const [k, v] of bans) if (v === b) bans.delete(k);
+    audit(actor, 'unban', { target: { name: b.name } });
+    return { ok: true };
+  },
+
+  mute(actor, { id, minutes }) {
+    const p = findPlayer(id);
+    if (!p) return { ok: false, error: 'no such player' };
+    const mins = clampMinutes(minutes, 10, 24 * 60);
+    chatModerator.mute(p.chatMod, mins * 60000, `mod:${actor.name}`);
+    io.to(p.id).emit('chatRejected', { reason: 'muted', message: `A moderator muted you for ${mins} min.`, retryInMs: mins * 60000 });
+    audit(actor, 'mute', { ...targetInfo(p), minutes: mins });
+    return { ok: true };
+  },
+
+  unmute(actor, { id }) {
+    const p = findPlayer(id);
+    if (!p) return { ok: false, error: 'no such player' };
+    chatModerator.unmute(p.chatMod);
+    audit(actor, 'unmute', targetInfo(p));
+    return { ok: true };
+  },
+
+  teleport(actor, { id, to }) {
+    const p = findPlayer(id);
+    if (!p) return { ok: false, error: 'no such player' };
+    const err = teleportPlayer(p, to || 'campus');
+    if (err) return { ok: false, error: err };
+    audit(actor, 'teleport', { ...targetInfo(p), to: to || 'campus' });
+    return { ok: true };
+  },
+
+  async releaseName(actor, { name }) {
+    if (!name || !(await names.release(name))) return { ok: false, error: 'name is not claimed' };
+    audit(actor, 'releaseName', { target: { name } });
+    return { ok: true };
+  },
+
+  closeRoom(actor, { roomId, reason }) {
+    const r = roomById(roomId);
+    if (!r) return { ok: false, error: 'no such room' };
+    closedRooms.set(r.id, { by: actor.name, reason: reason || null, ts: Date.now() });
+    // Everyone inside goes back out the door
+    for (const [sid, p] of players) {
+      if (p.roomId !== r.id) continue;
+      const sock = io.sockets.sockets.get(sid);
+      if (sock) {
+        moveToCampus(sock, p);
+        sock.emit('roomDenied', { roomId: r.id, reason: 'closed', message: `${r.name || r.id} was closed by a moderator.` });
+      }
+    }
+    audit(actor, 'closeRoom', { roomId: r.id, reason: reason || null });
+    return { ok: true };
+  },
+
+  openRoom(actor, { roomId }) {
+    if (!closedRooms.delete(roomId)) return { ok: false, error: 'room is not closed' };
+    audit(actor, 'openRoom', { roomId });
+    return { ok: true };
+  },
+
+  clearPaint(actor, { roomId, subroomId }) {
+    const r = roomId ? roomById(roomId) : null;
+    if (roomId && !r) return { ok: false, error: 'no such room' };
+    if (subroomId && !subroomById(r, subroomId)) return { ok: false, error: 'no such subroom' };
+    const space = spaceKey(r ? r.id : null, subroomId || null);
+    const strokes = paint.clear(space);
+    if (!strokes) return { ok: false, error: 'nothing is painted there' };
+    io.to(space).emit('paintCleared', { space });
+    audit(actor, 'clearPaint', { roomId: roomId || null, subroomId: subroomId || null, strokes });
+    return { ok: true };
+  },
+
+  announce(actor, { text, minutes }) {
+    const t = String(text || '').trim().slice(0, ANNOUNCE_MAX_LEN);
+    if (!t) return { ok: false, error: 'empty announcement' };
+    const mins = clampMinutes(minutes, 5, 24 * 60);
+    announcement = { text: t, ts: Date.now(), until: Date.now() + mins * 60000, by: actor.name };
+    io.emit('announcement', announcement);
+    audit(actor, 'announce', { text: t, minutes: mins });
+    return { ok: true };
+  },
+
+  clearAnnouncement(actor) {
+    announcement = null;
+    io.emit('announcement', null);
+    audit(actor, 'clearAnnouncement', {});
+    return { ok: true };
+  }
+};
+
+/** Run a moderator action by name; actor = { name, via: 'console' | 'game' } */
+async function runModAction(actor, name, args) {
+  const fn = Object.prototype.hasOwnProperty.call(MOD_ACTIONS, name) ? MOD_ACTIONS[name] : null;
+  if (!fn) return { ok: false, error: `unknown action "${name}"` };
+  try {
+    return await fn(actor, args || {});
+  } catch (e) {
+    console.error(`[server] mod action ${name} failed:`, e);
+    return { ok: false, error: 'internal error' };
+  }
+}
+
+// Console namespace: authenticated by the /admin session cookie
+const modIo = io.of('/mod');
+modIo.use((socket, next) => {
+  const sess = modSessionFrom(socket.handshake.headers.cookie);
+  if (!sess) return next(new Error('unauthorized'));
+  socket.data.actor = { name: sess.name, via: 'console' };
+  next();
+});
+
+function modSnapshot() {
+  const now = Date.now();
+  return {
+    players: Array.from(players.values(), p => ({
+      id: p.id, name: p.name, role: p.role,
+      roomId: p.roomId, subroomId: p.subroomId,
+      mutedUntil: p.chatMod.mutedUntil > now ? p.chatMod.mutedUntil : 0,
+      connectedAt: p.connectedAt
+    })),
+    rooms: (world.rooms || []).map(r => ({
+      id: r.id, name: r.name,
+      subrooms: (r.subrooms || []).map(sr => ({ id: sr.id, name: sr.name })),
+      closed: closedRooms.get(r.id) || null
+    })),
+    spawns: Array.from(spawns.named.keys()),
+    paint: paint.summary().map(s => ({ ...parseSpaceKey(s.space), strokes: s.strokes, points: s.points })),
+    bans: Array.from(bans.entries(), ([key, b]) => ({ key, ...b })).filter(b => b.until > now),
+    announcement: announcement && announcement.until > now ? announcement : null
+  };
+}
+
+modIo.on('connection', (socket) => {
+  socket.emit('hello', { name: socket.data.actor.name, audit: auditTrail, ...modSnapshot() });
+  socket.on('action', async (msg, ack) => {
+    const { name, args } = msg || {};
+    // Session may have expired since the socket connected
+    if (!modSessionFrom(socket.handshake.headers.cookie)) { socket.disconnect(true); return; }
+    const result = await runModAction(socket.data.actor, name, args);
+    if (typeof ack === 'function') ack(result);
+    modIo.emit('state', modSnapshot());
   });
 });
+setInterval(() => { if (modIo.sockets.size) modIo.emit('state', modSnapshot()); }, 2000);
+
+// Refuse banned addresses before a player is even created
+io.use((socket, next) => {
+  const b = activeBan(socket.handshake.address, null);
+  if (!b) return next();
+  const err = new Error('banned');
+  err.data = { reason: b.reason, until: b.until };
+  next(err);
+});
+
+// ------------------------------ Chat commands ------------------------------
+// "/name args" lines from chat. Add a command with one commands.register() call;
+// role 'mod' commands are hidden from (and refused to) everyone else.
+// Replies go only to the sender as 'systemMessage' { text, kind: 'info' | 'error' }.
+const commands = createCommandRegistry();
+
+function commandContext(socket, p) {
+  return {
+    socket, p,
+    role: p.role,
+    actor: { name: p.name, via: 'game' },
+    reply: (text, kind = 'info') => socket.emit('systemMessage', { text, kind, ts: Date.now() })
+  };
+}
+
+/** In-game sign-in ('modLogin' and /modlogin): null on success, else 'rate' | 'bad_token' */
+function grantModRole(socket, p, token) {
+  // Same per-address throttle as POST /admin/login, plus a tighter one per connection
+  const now = Date.now();
+  p.modLoginFails = p.modLoginFails.filter(t => now - t < 60000);
+  if (!loginAllowed(p.address) || p.modLoginFails.length >= MOD_LOGIN_SOCKET_LIMIT) {
+    socket.emit('role', { role: p.role, error: 'rate' });
+    return 'rate';
+  }
+  if (!MOD_TOKEN || !tokenMatches(token)) {
+    p.modLoginFails.push(now);
+    noteFailedLogin(p.address);
+    socket.emit('role', { role: p.role, error: 'bad_token' });
+    return 'bad_token';
+  }
+  p.role = 'mod';
+  audit({ name: p.name, via: 'game' }, 'login', {});
+  socket.emit('role', { role: p.role });
+  return null;
+}
+
+function describeSpace(roomId, subroomId) {
+  const r = roomId ? roomById(roomId) : null;
+  if (!r) return 'Campus';
+  const sr = subroomId ? subroomById(r, subroomId) : null;
+  return sr ? `${r.name} › ${sr.name}` : r.name;
+}
+
+/** Resolve the player named at the start of args, or reply with an error */
+function targetOf(ctx, args, usage) {
+  if (!args) { ctx.reply(`Usage: ${usage}`, 'error'); return null; }
+  const hit = leadingPlayerName(args);
+  if (!hit) ctx.reply(`No one called “${args.split(/\s+/)[0]}” is online.`, 'error');
+  return hit;
+}
+
+function replyResult(ctx, result, done) {
+  if (result.ok) ctx.reply(done);
+  else ctx.reply(result.error || 'That didn’t work.', 'error');
+}
+
+commands.register({
+  name: 'help', aliases: ['commands', '?'],
+  usage: '/help',
+  help: 'List the commands you can use',
+  run(ctx) {
+    const lines = commands.list(ctx.role).map(c => `${c.usage} — ${c.help}`);
+    ctx.reply(['Commands:', ...lines, 'Start a message with // to send it with a leading /.'].join('\n'));
+  }
+});
+
+commands.register({
+  name: 'who',
+  usage: '/who',
+  help: 'Who is here with you',
+  run(ctx) {
+    const here = spaceOf(ctx.p);
+    const names = Array.from(players.values())
+      .filter(q => q.named && spaceOf(q) === here)
+      .map(q => q.name)
+      .sort((a, b) => a.localeCompare(b));
+    ctx.reply(`${describeSpace(ctx.p.roomId, ctx.p.subroomId)} (${names.length}): ${names.join(', ') || 'just you'}`);
+  }
+});
+
+commands.register({
+  name: 'where',
+  usage: '/where name',
+  help: 'Find out where someone is',
+  run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (hit) ctx.reply(`${hit.player.name} is in ${describeSpace(hit.player.roomId, hit.player.subroomId)}.`);
+  }
+});
+
+commands.register({
+  name: 'w', aliases: ['whisper', 'msg'],
+  usage: '/w name message',
+  help: 'Whisper privately (not logged, no bubble)',
+  run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (!hit) return;
+    if (hit.player === ctx.p) return ctx.reply("You can't whisper to yourself.", 'error');
+    if (!hit.rest) return ctx.reply(`Usage: /w ${hit.player.name} message`, 'error');
+
+    const verdict = chatModerator.check(ctx.p.chatMod, hit.rest);
+    if (!verdict.ok) {
+      ctx.socket.emit('chatRejected', { reason: verdict.reason, message: verdict.message, retryInMs: verdict.retryInMs });
+      return;
+    }
+    const msg = {
+      ts: Date.now(),
+      fromId: ctx.p.id, fromName: ctx.p.name,
+      toId: hit.player.id, toName: hit.player.name,
+      text: verdict.text
+    };
+    io.to(hit.player.id).emit('whisper', msg);
+    ctx.socket.emit('whisper', msg);
+  }
+});
+
+commands.register({
+  name: 'me',
+  usage: '/me action',
+  help: 'Describe what you do, e.g. /me waves',
+  run(ctx, args) {
+    if (!args) return ctx.reply(`Usage: ${this.usage}`, 'error');
+    sayInChat(ctx.socket, ctx.p, args, 'me');
+  }
+});
+
+commands.register({
+  name: 'roll', aliases: ['dice'],
+  usage: '/roll [NdM]',
+  help: 'Roll dice for everyone here to see (default 1d6; /roll 20 = 1d20)',
+  run(ctx, args) {
+    const m = /^(?:(\d{1,2})?d)?(\d{1,4})$/i.exec(args || '6');
+    const count = m ? Number(m[1] || 1) : 0;
+    const sides = m ? Number(m[2]) : 0;
+    if (!m || count < 1 || count > 10 || sides < 2 || sides > 1000) {
+      return ctx.reply('Usage: /roll, /roll 20 or /roll 2d6 (up to 10 dice, 2–1000 sides)', 'error');
+    }
+    const now = Date.now();
+    if (chatModerator.isMuted(ctx.p.chatMod, now)) {
+      const left = ctx.p.chatMod.mutedUntil - now;
+      return ctx.reply(`You are muted for ${Math.ceil(left / 1000)}s.`, 'error');
+    }
+    if (!rulesFor(ctx.p).chat) return ctx.reply('Chat is off here.', 'error');
+    if (now - (ctx.p.lastRollTs || 0) < ROLL_COOLDOWN_MS) return ctx.reply('Easy — one roll at a time.', 'error');
+    ctx.p.lastRollTs = now;
+
+    const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * sides));
+    const total = rolls.reduce((a, b) => a + b, 0);
+    const text = `rolled ${count}d${sides}: ${count > 1 ? `${rolls.join(' + ')} = ` : ''}${total}`;
+    postChat(ctx.p, text, now, 'roll');
+  }
+});
+
+commands.register({
+  name: 'modlogin',
+  usage: '/modlogin token',
+  help: 'Sign in as a moderator',
+  run(ctx, args) {
+    if (ctx.p.role === 'mod') return ctx.reply('You are already a moderator.');
+    const error = grantModRole(ctx.socket, ctx.p, args);
+    if (!error) ctx.reply('Signed in as moderator. /help lists the moderator commands.');
+    else if (error === 'rate') ctx.reply('Too many attempts. Try again in a minute.', 'error');
+    else ctx.reply('That token is not right.', 'error');
+  }
+});
+
+// ---- Moderator commands (same actions and audit trail as the /admin console) ----
+commands.register({
+  name: 'kick', role: 'mod',
+  usage: '/kick name [reason]',
+  help: 'Disconnect a player',
+  async run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (hit) replyResult(ctx, await runModAction(ctx.actor, 'kick', { id: hit.player.id, reason: hit.rest }), `Kicked ${hit.player.name}.`);
+  }
+});
+
+commands.register({
+  name: 'ban', role: 'mod',
+  usage: '/ban name [minutes] [reason]',
+  help: 'Ban a player (default 60 minutes)',
+  async run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (!hit) return;
+    const [, minutes, reason] = /^(?:(\d+)\s*)?([\s\S]*)$/.exec(hit.rest);
+    const result = await runModAction(ctx.actor, 'ban', { id: hit.player.id, minutes: Number(minutes) || undefined, reason });
+    replyResult(ctx, result, `Banned ${hit.player.name}.`);
+  }
+});
+
+commands.register({
+  name: 'banip', role: 'mod',
+  usage: '/banip name [minutes] [reason]',
+  help: 'Ban a player and their network address (everyone sharing it!)',
+  async run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (!hit) return;
+    const [, minutes, reason] = /^(?:(\d+)\s*)?([\s\S]*)$/.exec(hit.rest);
+    const result = await runModAction(ctx.actor, 'banip', { id: hit.player.id, minutes: Number(minutes) || undefined, reason });
+    replyResult(ctx, result, `Banned ${hit.player.name} and their address.`);
+  }
+});
+
+commands.register({
+  name: 'mute', role: 'mod',
+  usage: '/mute name [minutes]',
+  help: 'Mute a player’s chat (default 10 minutes)',
+  async run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (hit) replyResult(ctx, await runModAction(ctx.actor, 'mute', { id: hit.player.id, minutes: Number(hit.rest) || undefined }), `Muted ${hit.player.name}.`);
+  }
+});
+
+commands.register({
+  name: 'unmute', role: 'mod',
+  usage: '/unmute name',
+  help: 'Lift a mute',
+  async run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (hit) replyResult(ctx, await runModAction(ctx.actor, 'unmute', { id: hit.player.id }), `Unmuted ${hit.player.name}.`);
+  }
+});
+
+commands.register({
+  name: 'tp', aliases: ['teleport'], role: 'mod',
+  usage: '/tp name [here | campus | spawn:name | roomId[/subroomId]]',
+  help: 'Move a player (default: to where you are)',
+  async run(ctx, args) {
+    const hit = targetOf(ctx, args, this.usage);
+    if (!hit) return;
+    let to = hit.rest || 'here';
+    if (to === 'here') to = ctx.p.roomId ? [ctx.p.roomId, ctx.p.subroomId].filter(Boolean).join('/') : 'campus';
+    replyResult(ctx, await runModAction(ctx.actor, 'teleport', { id: hit.player.id, to }), `Moved ${hit.player.name} to ${to}.`);
+  }
+});
+
+commands.register({
+  name: 'close', role: 'mod',
+  usage: '/close roomId [reason]',
+  help: 'Close a room and send everyone out',
+  async run(ctx, args) {
+    const [roomId, ...reason] = args.split(/\s+/);
+    if (!roomId) return ctx.reply(`Usage: ${this.usage}`, 'error');
+    replyResult(ctx, await runModAction(ctx.actor, 'closeRoom', { roomId, reason: reason.join(' ') }), `Closed ${roomId}.`);
+  }
+});
+
+commands.register({
+  name: 'open', role: 'mod',
+  usage: '/open roomId',
+  help: 'Reopen a closed room',
+  async run(ctx, args) {
+    if (!args) return ctx.reply(`Usage: ${this.usage}`, 'error');
+    replyResult(ctx, await runModAction(ctx.actor, 'openRoom', { roomId: args }), `Opened ${args}.`);
+  }
+});
+
+commands.register({
+  name: 'announce', role: 'mod',
+  usage: '/announce text',
+  help: 'Show a banner to everyone for 5 minutes (/announce off clears it)',
+  async run(ctx, args) {
+    if (!args) return ctx.reply(`Usage: ${this.usage}`, 'error');
+    if (args === 'off') return replyResult(ctx, await runModAction(ctx.actor, 'clearAnnouncement'), 'Announcement cleared.');
+    replyResult(ctx, await runModAction(ctx.actor, 'announce', { text: args }), 'Announced.');
+  }
+});
+
+commands.register({
+  name: 'release', role: 'mod',
+  usage: '/release name',
+  help: 'Release a claimed name (forgotten passcode)',
+  async run(ctx, args) {
+    if (!args) return ctx.reply(`Usage: ${this.usage}`, 'error');
+    replyResult(ctx, await runModAction(ctx.actor, 'releaseName', { name: args }), `Released “${args}”.`);
+  }
+});
+
+commands.register({
+  name: 'clearpaint', role: 'mod',
+  usage: '/clearpaint',
+  help: 'Wipe the paint in the space you are in',
+  async run(ctx) {
+    const { roomId, subroomId } = ctx.p;
+    replyResult(ctx, await runModAction(ctx.actor, 'clearPaint', { roomId, subroomId }), `Cleared the paint in ${describeSpace(roomId, subroomId)}.`);
+  }
+});
+
+// ------------------------------ Campus hot reload ------------------------------
+/**
+ * Swap in a new world: rebuild spawns, move anyone whose room/subroom vanished
+ * (subroom gone → room lobby, room gone → campus), push everyone out of new walls,
+ * then broadcast 'worldUpdated'.
+ */
+function applyWorld(next) {
+  const prevDoors = spawns.doors;
+  world = next;
+  spawns = buildSpawnTable();
+  entities = buildEntities(entities);
+  npcs = buildNpcs(npcs);
+  games = buildGames(games);
+
+  for (const [sid, p] of players) {
+    const r = p.roomId ? roomById(p.roomId) : null;
+    const before = spaceOf(p);
+
+    if (p.roomId && !r) {
+      const door = prevDoors.get(p.roomId) || spawns.campus;
+      p.x = door.x; p.y = door.y;
+      p.roomId = null; p.subroomId = null;
+    } else if (p.subroomId && !subroomById(r, p.subroomId)) {
+      const lobby = spawns.roomEntries.get(r.id);
+      p.rx = lobby.x; p.ry = lobby.y;
+      p.subroomId = null;
+    }
+
+    const c = placeInSpace(p.x, p.y, null, null);
+    p.x = c.x; p.y = c.y;
+    if (p.roomId) {
+      const i = placeInSpace(p.rx, p.ry, p.roomId, p.subroomId);
+      p.rx = i.x; p.ry = i.y;
+    }
+
+    const sock = io.sockets.sockets.get(sid);
+    if (sock && spaceOf(p) !== before) {
+      p.kvx = p.kvy = 0; p.rkvx = p.rkvy = 0;
+      joinSpace(sock, p);
+    }
+  }
+
+  io.emit('worldUpdated', { world });
+}
+
+function reloadCampus(filePath) {
+  let next;
+  try {
+    next = readCampusFile(filePath);
+  } catch (e) {
+    campusStatus.error = e.message;
+    console.error('[server] campus.json reload failed, keeping current world:', e.message);
+    return false;
+  }
+  applyWorld(next);
+  campusStatus.loadedAt = Date.now();
+  campusStatus.error = null;
+  console.log('[server] campus.json reloaded');
+  return true;
+}
+
+function watchCampusFile() {
+  const filePath = campusFilePath();
+  if (!CAMPUS_WATCH || !filePath) return;
+  // watchFile polls mtime, which survives editors that save via rename
+  fs.watchFile(filePath, { interval: CAMPUS_WATCH_MS }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    if (!curr.mtimeMs) return; // deleted mid-save; wait for the next write
+    reloadCampus(filePath);
+  });
+}
+watchCampusFile();
 
 // ------------------------------ Helpers ------------------------------
 function clampTarget(target, roomId, subroomId) {
@@ -397,14 +1869,45 @@ function clampTarget(target, roomId, subroomId) {
   }
 }
 
+/**
+ * Count one use of a toy against its TOY_LIMITS.
+ * Returns null if allowed, else { reason: 'cooldown' | 'rate', retryInMs }.
+ */
+function useToyLimit(p, kind, now) {
+  const { cooldownMs, rate } = TOY_LIMITS[kind];
+  const uses = (p.toyUses[kind] || []).filter(t => now - t < TOY_RATE_WINDOW_MS);
+  p.toyUses[kind] = uses;
+  const last = uses[uses.length - 1];
+  if (last !== undefined && now - last < cooldownMs) return { reason: 'cooldown', retryInMs: cooldownMs - (now - last) };
+  if (uses.length >= rate) return { reason: 'rate', retryInMs: TOY_RATE_WINDOW_MS - (now - uses[0]) };
+  uses.push(now);
+  return null;
+}
+
+/** Why p can't fast-travel to roomId's door right now: { reason, message, retryInMs? } or null */
+function travelBlock(p, roomId, now) {
+  const r = typeof roomId === 'string' ? roomById(roomId) : null;
+  if (!r || !spawns.doors.has(r.id)) return { reason: 'unknown', message: 'There is no building to travel to there.' };
+  const wait = TRAVEL_COOLDOWN_MS - (now - p.lastTravelTs);
+  if (wait > 0) return { reason: 'cooldown', retryInMs: wait, message: `Fast travel is ready again in ${Math.ceil(wait / 1000)}s.` };
+  const game = gameFor(p);
+  if (game && game.playing(p.id)) return { reason: 'in_game', message: 'Finish your round first!' };
+  return null;
+}
+
 function doBatHit(attacker, swing) {
   const inRoom = !!attacker.roomId;
   const ax = swing.origin.x, ay = swing.origin.y;
   const ang = Math.atan2(swing.target.y - ay, swing.target.x - ax);
   const now = Date.now();
+  // Minigame rooms: the bat only works between players in the running round
+  const game = gameFor(attacker);
+  if (game && !game.playing(attacker.id)) return;
+  if (!rulesFor(attacker).pvp) return;
 
   for (const [sid, v] of players) {
     if (sid === attacker.id) continue;
+    if (game && !game.playing(v.id)) continue;
 
     // same space filter
     let px, py, kvx, kvy;
@@ -425,6 +1928,7 @@ function doBatHit(attacker, swing) {
     const toVictim = Math.atan2(dy, dx);
     let dAng = Math.abs(((toVictim - ang + Math.PI) % (2*Math.PI)) - Math.PI);
     if (dAng > BAT_ARC_RAD * 0.5) continue;
+    if (!rulesFor(v).pvp) continue; // standing in a safe zone
 
     if (now - (v.lastHitTs || 0) < BAT_HIT_COOLDOWN_MS) continue;
     v.lastHitTs = now;
@@ -435,7 +1939,7 @@ function doBatHit(attacker, swing) {
     v[kvx] += nx * BAT_KNOCK_PXPS;
     v[kvy] += ny * BAT_KNOCK_PXPS;
 
-    io.emit('hit', {
+    io.to(spaceOf(v)).emit('hit', {
       victimId: v.id,
       fromId: attacker.id,
       space: swing.space,
@@ -444,68 +1948,593 @@ function doBatHit(attacker, swing) {
       dir: { x: nx, y: ny },
       ts: now
     });
+    if (game && game.hit(attacker.id, v.id)) broadcastGame(attacker.roomId);
+  }
+}
+
+function doBallKick(kicker, swing) {
+  const space = spaceOf(kicker);
+  let ball = null, best = PLAYER_RADIUS + BALL_RADIUS + BALL_KICK_RANGE_PX;
+  for (const e of entities.values()) {
+    if (e.type !== 'ball' || spaceKey(e.roomId, e.subroomId) !== space) continue;
+    const d = Math.hypot(e.x - swing.origin.x, e.y - swing.origin.y);
+    if (d <= best) { ball = e; best = d; }
+  }
+  if (!ball) return;
+  ball.kickedBy = kicker.id;
+
+  // Toward the aim point; aiming at the ball itself kicks it straight away from you
+  let dx = swing.target.x - ball.x, dy = swing.target.y - ball.y;
+  if (Math.hypot(dx, dy) < 1) { dx = ball.x - swing.origin.x; dy = ball.y - swing.origin.y; }
+  const d = Math.hypot(dx, dy) || 1;
+  kickEntity(ball, dx / d * BALL_KICK_PXPS, dy / d * BALL_KICK_PXPS);
+}
+
+// ------------------------------ Collision ------------------------------
+// The circle-vs-rect math is in lib/collision.js; these pick each space's rects and bounds.
+/** Solid rects for a space: campus obstacles, or the interior objects of a room/subroom */
+function solidRectsFor(roomId, subroomId) {
+  if (!roomId) {
+    return (world.obstacles || []).filter(o => o.solid !== false);
+  }
+  const r  = roomById(roomId);
+  const sr = subroomById(r, subroomId);
+  const interior = subroomId ? sr?.interior : r?.interior;
+  return (interior?.objects || []).filter(o => (!o.type || o.type === 'rect') && o.solid !== false);
+}
+
+/** Bounds (w/h) of a space */
+function spaceBounds(roomId, subroomId) {
+  if (!roomId) return { w: world.width || 3200, h: world.height || 2000 };
+  const r  = roomById(roomId);
+  const sr = subroomById(r, subroomId);
+  return {
+    w: (sr?.interior?.w) || (r?.interior?.w) || 1200,
+    h: (sr?.interior?.h) || (r?.interior?.h) || 720
+  };
+}
+
+/** Nudge a spawn/teleport position out of walls in the given space */
+function placeInSpace(x, y, roomId, subroomId) {
+  return resolveCircle(x, y, PLAYER_RADIUS, solidRectsFor(roomId, subroomId), spaceBounds(roomId, subroomId));
+}
+
+// ------------------------------ Spawns & doorways ------------------------------
+function subKey(roomId, subroomId) { return `${roomId}/${subroomId}`; }
+
+function isPoint(pt) {
+  return !!pt && typeof pt === 'object' && Number.isFinite(pt.x) && Number.isFinite(pt.y);
+}
+
+/**
+ * Resolve a declared point (or fallback) into a free spot in a space.
+ * Bad or out-of-bounds points fall back; points inside a wall are nudged out.
+ * (lib/campus-schema.js reports both when the map is loaded.)
+ */
+function resolvePoint(declared, fallback, roomId, subroomId) {
+  const bounds = spaceBounds(roomId, subroomId);
+  const usable = isPoint(declared) && declared.x >= 0 && declared.y >= 0 && declared.x <= bounds.w && declared.y <= bounds.h;
+  const pt = usable ? declared : fallback;
+  const placed = placeInSpace(pt.x, pt.y, roomId, subroomId);
+  return { x: Math.round(placed.x), y: Math.round(placed.y) };
+}
+
+/**
+ * Build every spawn/door point from campus.json:
+ *  - world.spawn                       campus arrival point
+ *  - room.door                         campus point you reappear at when leaving the room
+ *  - room.interior.spawn               where you land in the lobby
+ *  - subroom.interior.spawn            where you land in the subroom
+ *  - subroom.door                      lobby point you reappear at when leaving the subroom
+ *  - world.spawns { name: {x,y,roomId?,subroomId?} }   named points for events
+ */
+function buildSpawnTable() {
+  const W = world.width || 3200, H = world.height || 2000;
+  const table = {
+    campus: resolvePoint(world.spawn, { x: W/2, y: H/2 }, null, null),
+    doors: new Map(),
+    roomEntries: new Map(),
+    subEntries: new Map(),
+    subDoors: new Map(),
+    named: new Map()
+  };
+
+  for (const r of (world.rooms || [])) {
+    const e = r.enter || { x: 0, y: 0, w: 0, h: 0 };
+    const below = { x: e.x + e.w/2, y: e.y + e.h + PLAYER_RADIUS + DOOR_OFFSET_PX };
+    table.doors.set(r.id, resolvePoint(r.door, below, null, null));
+
+    const iw = r.interior?.w || 1000, ih = r.interior?.h || 600;
+    const lobby = resolvePoint(r.interior?.spawn, { x: iw/2, y: ih/2 }, r.id, null);
+    table.roomEntries.set(r.id, lobby);
+
+    for (const sr of (r.subrooms || [])) {
+      const sw = sr.interior?.w || 1000, sh = sr.interior?.h || 600;
+      table.subEntries.set(subKey(r.id, sr.id), resolvePoint(sr.interior?.spawn, { x: sw/2, y: sh/2 }, r.id, sr.id));
+      table.subDoors.set(subKey(r.id, sr.id), resolvePoint(sr.door, lobby, r.id, null));
+    }
+  }
+
+  for (const [name, def] of Object.entries(world.spawns || {})) {
+    const roomId = def?.roomId || null, subroomId = def?.subroomId || null;
+    const r = roomId ? roomById(roomId) : null;
+    if (!isPoint(def) || (roomId && !r) || (subroomId && !subroomById(r, subroomId))) continue;
+    table.named.set(name, { ...resolvePoint(def, def, roomId, subroomId), roomId, subroomId });
+  }
+
+  if (SPAWN_POINT && !table.named.has(SPAWN_POINT)) {
+    console.warn(`[server] SPAWN_POINT "${SPAWN_POINT}" is not defined in campus.json spawns, using campus spawn`);
+  }
+  return table;
+}
+
+let spawns = buildSpawnTable();
+
+/** Where a newly connected player appears (named event spawn, else campus spawn) */
+function arrivalPoint() {
+  const jitter = () => (Math.random() * 2 - 1) * SPAWN_JITTER_PX;
+  const named = SPAWN_POINT ? spawns.named.get(SPAWN_POINT) : null;
+  const campus = placeInSpace(spawns.campus.x + jitter(), spawns.campus.y + jitter(), null, null);
+
+  if (named && named.roomId) {
+    const inside = placeInSpace(named.x + jitter(), named.y + jitter(), named.roomId, named.subroomId);
+    return { x: campus.x, y: campus.y, rx: inside.x, ry: inside.y, roomId: named.roomId, subroomId: named.subroomId };
+  }
+  const at = named ? placeInSpace(named.x + jitter(), named.y + jitter(), null, null) : campus;
+  return { x: at.x, y: at.y, rx: 240, ry: 340, roomId: null, subroomId: null };
+}
+
+// ------------------------------ World entities ------------------------------
+// campus.json "entities" (top level = campus, or in any interior) become objects the
+// server simulates and every viewer sees in snapshots. Balls roll with friction,
+// bounce off walls and get pushed by players walking into them or kicked with the ball toy.
+const ENTITY_TYPES = { ball: { radius: BALL_RADIUS } };
+let entitySeq = 1; // numeric wire id (n), separate from player nids
+
+/** Build entities from the world. Entities that survive a hot reload keep moving where they are. */
+function buildEntities(prev) {
+  const next = new Map(); // id -> { id, n, type, roomId, subroomId, x, y, vx, vy }
+  const add = (defs, roomId, subroomId) => (defs || []).forEach((def, i) => {
+    if (!def || !ENTITY_TYPES[def.type] || !isPoint(def)) return;
+    const id = def.id || `${spaceKey(roomId, subroomId)}:${i}`;
+    if (next.has(id)) return; // duplicate ids are reported by the linter
+    const old = prev.get(id);
+    const stay = old && old.type === def.type && old.roomId === roomId && old.subroomId === subroomId;
+    const at = resolveCircle(stay ? old.x : def.x, stay ? old.y : def.y, ENTITY_TYPES[def.type].radius,
+      solidRectsFor(roomId, subroomId), spaceBounds(roomId, subroomId));
+    next.set(id, {
+      id, n: stay ? old.n : entitySeq++, type: def.type, roomId, subroomId,
+      x: at.x, y: at.y, vx: stay ? old.vx : 0, vy: stay ? old.vy : 0
+    });
+  });
+
+  add(world.entities, null, null);
+  for (const r of (world.rooms || [])) {
+    add(r.interior?.entities, r.id, null);
+    for (const sr of (r.subrooms || [])) add(sr.interior?.entities, r.id, sr.id);
   }
+  return next;
 }
 
+let entities = buildEntities(new Map());
+
+/** Set an entity's velocity (px/s), capped */
+function kickEntity(e, vx, vy) {
+  const s = Math.hypot(vx, vy);
+  const k = s > BALL_MAX_PXPS ? BALL_MAX_PXPS / s : 1;
+  e.vx = vx * k; e.vy = vy * k;
+}
+
+/** One tick of entity physics (after players moved) */
+function stepEntities() {
+  for (const e of entities.values()) {
+    const r = ENTITY_TYPES[e.type].radius;
+    const space = spaceKey(e.roomId, e.subroomId);
+
+    // Players walking into it push it out of the way
+    for (const p of players.values()) {
+      if (spaceOf(p) !== space) continue;
+      const pos = positionOf(p);
+      const dx = e.x - pos.x, dy = e.y - pos.y;
+      const d = Math.hypot(dx, dy), min = PLAYER_RADIUS + r;
+      if (d >= min) continue;
+      const nx = d > 0 ? dx / d : 1, ny = d > 0 ? dy / d : 0;
+      if (e.kickedBy && e.kickedBy !== p.id && Math.hypot(e.vx, e.vy) >= BALL_HIT_PXPS) ballHit(e, p, -nx, -ny);
+      e.x = pos.x + nx * min; e.y = pos.y + ny * min;
+      const along = e.vx * nx + e.vy * ny;
+      if (along < BALL_DRIBBLE_PXPS) kickEntity(e, e.vx + nx * (BALL_DRIBBLE_PXPS - along), e.vy + ny * (BALL_DRIBBLE_PXPS - along));
+      e.kickedBy = p.id;
+    }
+
+    if (!e.vx && !e.vy) continue;
+    const m = moveCircle(e.x, e.y, e.vx * DT, e.vy * DT, r, solidRectsFor(e.roomId, e.subroomId), spaceBounds(e.roomId, e.subroomId));
+    e.x = m.x; e.y = m.y;
+    if (m.blockedX) e.vx = -e.vx * BALL_BOUNCE;
+    if (m.blockedY) e.vy = -e.vy * BALL_BOUNCE;
+    e.vx *= BALL_FRICTION;
+    e.vy *= BALL_FRICTION;
+    if (Math.hypot(e.vx, e.vy) < BALL_REST_PXPS) e.vx = e.vy = 0;
+  }
+}
+
+/** A fast ball kicked by someone else reaches a player: counts as a hit in a minigame round */
+function ballHit(e, victim, dx, dy) {
+  const game = gameFor(victim);
+  const kicker = players.get(e.kickedBy);
+  if (!game || !kicker || spaceOf(kicker) !== spaceOf(victim) || !game.hit(kicker.id, victim.id)) return;
+  io.to(spaceOf(victim)).emit('hit', {
+    victimId: victim.id,
+    fromId: kicker.id,
+    space: 'room',
+    roomId: victim.roomId,
+    subroomId: null,
+    dir: { x: dx, y: dy },
+    ts: Date.now()
+  });
+  broadcastGame(victim.roomId);
+}
+
+/** Wire entries for every entity in a space */
+function entityEntries(space) {
+  const out = [];
+  for (const e of entities.values()) {
+    if (spaceKey(e.roomId, e.subroomId) === space) out.push(SnapshotCodec.toEntityEntry(e.n, e));
+  }
+  return out;
+}
+
+// ------------------------------ NPCs ------------------------------
+// campus.json "npcs": characters that walk a patrol loop and talk. They ride along in
+// snapshots like players (npc: true) but aren't in `players`. Walking up to one (trigger
+// "proximity") or pressing E next to it ("talk"; default: both) gets its next line, sent
+// only to that player as a chat message of kind 'npc'. They stop walking while someone
+// is close.
+let npcs = new Map(); // 'npc:<id>' -> npc (built at start: nids come from allocNid)
+
+function buildNpcs(prev) {
+  const next = new Map();
+  for (const d of (world.npcs || [])) {
+    const r = d.roomId ? roomById(d.roomId) : null;
+    const sr = r && d.subroomId ? subroomById(r, d.subroomId) : null;
+    if (d.roomId && (!r || (d.subroomId && !sr))) continue; // its room is gone
+    const id = `npc:${d.id}`;
+    const old = prev.get(id);
+    const route = [{ x: d.x, y: d.y }, ...(d.patrol || [])];
+    const npc = {
+      id,
+      nid: old ? old.nid : allocNid(),
+      npc: true,
+      name: d.name,
+      color: d.color || '#f5c542',
+      roomId: r ? r.id : null,
+      subroomId: sr ? sr.id : null,
+      x: 0, y: 0, rx: 0, ry: 0,
+      route,
+      leg: 1 % route.length,   // index of the waypoint it's walking to
+      waitUntil: 0,
+      speed: d.speed || NPC_SPEED,
+      pauseMs: d.pauseSeconds !== undefined ? d.pauseSeconds * 1000 : NPC_PAUSE_MS,
+      lines: d.dialogue || [],
+      trigger: d.trigger || 'both',
+      near: old ? old.near : new Set(),      // players in talking range
+      cursor: old ? old.cursor : new Map(),  // player id -> next line
+      lastSaid: old ? old.lastSaid : new Map()
+    };
+    // Edits to the map keep an NPC where it is (if it's still in the same space)
+    const stay = old && old.roomId === npc.roomId && old.subroomId === npc.subroomId;
+    setNpcPos(npc, stay ? positionOf(old) : route[0]);
+    next.set(id, npc);
+  }
+  return next;
+}
+
+function setNpcPos(npc, at) {
+  if (npc.roomId) { npc.rx = at.x; npc.ry = at.y; }
+  else { npc.x = at.x; npc.y = at.y; }
+}
+
+/** The NPC's next line, to one player */
+function npcSay(npc, p, now) {
+  if (!npc.lines.length || now - (npc.lastSaid.get(p.id) || 0) < NPC_TALK_COOLDOWN_MS) return;
+  const i = npc.cursor.get(p.id) || 0;
+  npc.cursor.set(p.id, (i + 1) % npc.lines.length);
+  npc.lastSaid.set(p.id, now);
+  io.to(p.id).emit('chatMessage', {
+    id: ++chatSeq, ts: now, fromId: npc.id, name: npc.name, text: npc.lines[i], mentions: [], kind: 'npc',
+    roomId: npc.roomId, subroomId: npc.subroomId
+  });
+}
+
+function stepNpcs(now) {
+  for (const npc of npcs.values()) {
+    const space = spaceOf(npc);
+    const at = positionOf(npc);
+    const dist = (q) => { const qa = positionOf(q); return Math.hypot(qa.x - at.x, qa.y - at.y); };
+
+    // Who's close (with some slack before they count as gone, so the greeting doesn't repeat)
+    for (const id of npc.near) {
+      const q = players.get(id);
+      if (!q || spaceOf(q) !== space || dist(q) > NPC_TALK_RADIUS * 1.5) npc.near.delete(id);
+    }
+    for (const q of players.values()) {
+      if (npc.near.has(q.id) || spaceOf(q) !== space || dist(q) > NPC_TALK_RADIUS) continue;
+      npc.near.add(q.id);
+      if (npc.trigger !== 'talk') npcSay(npc, q, now);
+    }
+    for (const id of npc.cursor.keys()) {
+      if (!players.has(id)) { npc.cursor.delete(id); npc.lastSaid.delete(id); }
+    }
+
+    if (npc.near.size || npc.route.length < 2 || now < npc.waitUntil) continue;
+    const goal = npc.route[npc.leg];
+    const dx = goal.x - at.x, dy = goal.y - at.y, d = Math.hypot(dx, dy);
+    const len = npc.speed * DT;
+    if (d <= len) {
+      setNpcPos(npc, goal);
+      npc.leg = (npc.leg + 1) % npc.route.length;
+      npc.waitUntil = now + npc.pauseMs;
+      continue;
+    }
+    const m = moveCircle(at.x, at.y, dx / d * len, dy / d * len, PLAYER_RADIUS,
+      solidRectsFor(npc.roomId, npc.subroomId), spaceBounds(npc.roomId, npc.subroomId));
+    setNpcPos(npc, m);
+    if (m.blockedX && m.blockedY) npc.leg = (npc.leg + 1) % npc.route.length; // stuck: try the next waypoint
+  }
+}
+
+function npcsIn(space) {
+  return Array.from(npcs.values()).filter(n => spaceOf(n) === space);
+}
+
+// ------------------------------ Minigames ------------------------------
+// A room with a campus.json "minigame" block runs rounds in its lobby (lib/minigame.js).
+// Players opt in with 'gameJoin'; every change goes to the lobby as 'gameState'.
+// Inside such a room only players in the running round can hit or be hit.
+function buildGames(prev) {
+  const next = new Map(); // roomId -> { game, config }
+  for (const r of (world.rooms || [])) {
+    if (!r.minigame) continue;
+    const config = JSON.stringify(r.minigame);
+    const old = prev.get(r.id);
+    next.set(r.id, old && old.config === config ? old : { game: createMinigame(r.minigame), config });
+  }
+  return next;
+}
+
+let games = buildGames(new Map());
+
+/** The game in the player's space (room lobbies only) */
+function gameFor(p) {
+  return p.roomId && !p.subroomId ? games.get(p.roomId)?.game || null : null;
+}
+
+function broadcastGame(roomId) {
+  const g = games.get(roomId);
+  if (g) io.to(spaceKey(roomId, null)).emit('gameState', { roomId, ...g.game.view() });
+}
+
+/** Drop out of the game in a space the player is leaving */
+function leaveGameIn(p, space) {
+  const { roomId, subroomId } = parseSpaceKey(space);
+  const g = !subroomId && roomId ? games.get(roomId) : null;
+  if (g && g.game.leave(p.id)) broadcastGame(roomId);
+}
+
+function tickGames(now) {
+  for (const [roomId, { game }] of games) {
+    if (game.tick(now)) broadcastGame(roomId);
+  }
+}
+
+// ------------------------------ Snapshots ------------------------------
+// Numeric ids keep delta/binary frames small (socket ids are 20 chars)
+let nextNid = 1;
+function allocNid() {
+  const used = new Set([...players.values(), ...npcs.values()].map(p => p.nid));
+  for (let i = 0; i < 0xFFFF; i++) {
+    const n = nextNid;
+    nextNid = nextNid >= 0xFFFE ? 1 : nextNid + 1;
+    if (!used.has(n)) return n;
+  }
+  return 0;
+}
+
+function snapshotFields(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    color: p.color,
+    x: p.x, y: p.y,
+    rx: p.rx, ry: p.ry,
+    roomId: p.roomId,
+    subroomId: p.subroomId,
+    equippedKind: p.equippedKind || null,
+    pose: p.pose || null,
+    npc: !!p.npc,
+    hat: p.hat || null,
+    tagColor: p.tagColor || null
+  };
+}
+
+const encoders = new Map(); // space -> SnapshotCodec encoder
+let tickCount = 0;
+
+/**
+ * One delta frame per space, shared by every socket in it. Sockets that just
+ * arrived (or switched encoding) get a private keyframe of the same tick instead.
+ */
+function sendSpaceSnapshot(key, members, now, keyframeTick) {
+  if (!encoders.has(key)) encoders.set(key, SnapshotCodec.createEncoder());
+  const enc = encoders.get(key);
+  const entries = members.concat(npcsIn(key)).map(p => SnapshotCodec.toEntry(p.nid, snapshotFields(p)));
+  const ents = entityEntries(key);
+  const frame = enc.next(now, entries, keyframeTick, ents);
+
+  const fresh  = members.filter(p => p.needKeyframe);
+  const steady = members.filter(p => !p.needKeyframe);
+  const skip   = fresh.map(p => p.id);
+  let binary = null;
+
+  if (fresh.length) {
+    const kf = frame.k ? frame : enc.keyframe(now, entries, ents);
+    let kfBinary = null;
+    for (const p of fresh) {
+      p.needKeyframe = false;
+      if (p.snapEncoding === 'binary') io.to(p.id).emit('state', kfBinary || (kfBinary = SnapshotCodec.encodeBinary(kf)));
+      else io.to(p.id).emit('state', kf);
+    }
+  }
+  if (steady.some(p => p.snapEncoding !== 'binary')) {
+    io.to(key).except([binRoom(key), ...skip]).emit('state', frame);
+  }
+  if (steady.some(p => p.snapEncoding === 'binary')) {
+    binary = SnapshotCodec.encodeBinary(frame);
+    io.to(binRoom(key)).except(skip).emit('state', binary);
+  }
+
+  if (SNAPSHOT_STATS) recordSnapshotStats(members, frame, binary);
+}
+
+// ---- Byte-count comparison (SNAPSHOT_STATS=1) ----
+const snapStats = { ticks: 0, frames: 0, viewers: 0, legacyJson: 0, deltaJson: 0, binary: 0, binaryPolling: 0 };
+
+function recordSnapshotStats(members, frame, binary) {
+  // Legacy protocol: full JSON array of every player in the space, every tick
+  const legacy = JSON.stringify({ t: frame.t, players: members.map(snapshotFields) });
+  const bin = binary || SnapshotCodec.encodeBinary(frame);
+  const n = members.length;
+  snapStats.frames++;
+  snapStats.viewers += n;
+  snapStats.legacyJson += Buffer.byteLength(legacy) * n;
+  snapStats.deltaJson  += Buffer.byteLength(JSON.stringify(frame)) * n;
+  snapStats.binary     += bin.length * n;
+  // Engine.IO long-polling ships binary as base64 ("b" + payload)
+  snapStats.binaryPolling += (1 + Math.ceil(bin.length / 3) * 4) * n;
+}
+
+function logSnapshotStats() {
+  const s = snapStats;
+  if (!s.ticks) return;
+  const perSec = (b) => `${(b / (s.ticks * DT) / 1024).toFixed(1)} KiB/s`;
+  const pct = (b) => s.legacyJson ? `${Math.round(100 * b / s.legacyJson)}%` : '-';
+  console.log(
+    `[snapshots] ${s.ticks} ticks, avg ${(s.viewers / s.ticks).toFixed(1)} viewers — ` +
+    `legacy JSON ${perSec(s.legacyJson)} | delta JSON ${perSec(s.deltaJson)} (${pct(s.deltaJson)}) | ` +
+    `binary ${perSec(s.binary)} (${pct(s.binary)}) | binary over polling ${perSec(s.binaryPolling)} (${pct(s.binaryPolling)})`
+  );
+  for (const k of Object.keys(s)) s[k] = 0;
+}
+if (SNAPSHOT_STATS) setInterval(logSnapshotStats, SNAPSHOT_STATS_EVERY_MS);
+
 // ------------------------------ Simulation tick ------------------------------
+let lastOccupancyJson = '';
+
 function step() {
   for (const [, p] of players) {
     let ix = (p.input.right ? 1 : 0) - (p.input.left ? 1 : 0);
     let iy = (p.input.down ? 1 : 0) - (p.input.up ? 1 : 0);
+    if (p.pose === 'sit') ix = iy = 0; // seated until the player stands up
     if (ix || iy) {
       const n = Math.hypot(ix, iy);
       ix /= n; iy /= n;
     }
 
-    if (!p.roomId) {
-      const baseVx = ix * CAMPUS_SPEED;
-      const baseVy = iy * CAMPUS_SPEED;
-      p.x  += (baseVx + p.kvx) * DT;
-      p.y  += (baseVy + p.kvy) * DT;
-
-      p.x = Math.max(0, Math.min((world.width  || 3200), p.x));
-      p.y = Math.max(0, Math.min((world.height || 2000), p.y));
+    const rects  = solidRectsFor(p.roomId, p.subroomId);
+    const bounds = spaceBounds(p.roomId, p.subroomId);
 
+    const speed = rulesFor(p).speed || (p.roomId ? ROOM_SPEED : CAMPUS_SPEED);
+    if (!p.roomId) {
+      const baseVx = ix * speed;
+      const baseVy = iy * speed;
+      const m = moveCircle(p.x, p.y, (baseVx + p.kvx) * DT, (baseVy + p.kvy) * DT, PLAYER_RADIUS, rects, bounds);
+      p.x = m.x; p.y = m.y;
+
+      // Knockback into a wall stops dead instead of pinning against it
+      if (m.blockedX) p.kvx = 0;
+      if (m.blockedY) p.kvy = 0;
       p.kvx *= FRICTION;
       p.kvy *= FRICTION;
     } else {
-      const baseVx = ix * ROOM_SPEED;
-      const baseVy = iy * ROOM_SPEED;
-      p.rx += (baseVx + p.rkvx) * DT;
-      p.ry += (baseVy + p.rkvy) * DT;
-
-      const r  = roomById(p.roomId);
-      const sr = subroomById(r, p.subroomId);
-      const w = (sr?.interior?.w) || (r?.interior?.w) || 1200;
-      const h = (sr?.interior?.h) || (r?.interior?.h) || 720;
-      p.rx = Math.max(0, Math.min(w, p.rx));
-      p.ry = Math.max(0, Math.min(h, p.ry));
+      const baseVx = ix * speed;
+      const baseVy = iy * speed;
+      const m = moveCircle(p.rx, p.ry, (baseVx + p.rkvx) * DT, (baseVy + p.rkvy) * DT, PLAYER_RADIUS, rects, bounds);
+      p.rx = m.x; p.ry = m.y;
 
+      if (m.blockedX) p.rkvx = 0;
+      if (m.blockedY) p.rkvy = 0;
       p.rkvx *= FRICTION;
       p.rkvy *= FRICTION;
     }
   }
+  stepEntities();
+
+  // Snapshots are scoped to each space
+  const now = Date.now();
+  stepNpcs(now);
+  tickGames(now);
+  const bySpace = new Map();
+  for (const [, p] of players) {
+    const key = spaceOf(p);
+    if (!bySpace.has(key)) bySpace.set(key, []);
+    bySpace.get(key).push(p);
+  }
+  tickCount++;
+  if (SNAPSHOT_STATS) snapStats.ticks++;
+  const keyframeTick = tickCount % KEYFRAME_EVERY_TICKS === 0;
+  for (const key of encoders.keys()) if (!bySpace.has(key)) encoders.delete(key);
+  for (const [key, members] of bySpace) sendSpaceSnapshot(key, members, now, keyframeTick);
+
+  admitFromQueues();
+
+  // Occupancy badges only go out when a count changes
+  const occ = occupancySummary();
+  const occJson = JSON.stringify(occ);
+  if (occJson !== lastOccupancyJson) {
+    lastOccupancyJson = occJson;
+    io.emit('occupancy', occ);
+  }
+}
+
+// ---- Tick timing (in GET /healthz; scripts/load-test.js watches it) ----
+const TICK_STATS_WINDOW = 200;      // last 10s at 20 FPS
+const tickTimes = [];               // ms spent in step(), newest last
+const tickGaps = [];                // ms between tick starts (over TICK_MS = the event loop is behind)
+let lastTickStart = 0;
+let ticksRun = 0, ticksOverBudget = 0; // since start
+
+function timedStep() {
+  const start = performance.now();
+  if (lastTickStart) tickGaps.push(start - lastTickStart);
+  lastTickStart = start;
+  step();
+  const took = performance.now() - start;
+  tickTimes.push(took);
+  ticksRun++;
+  if (took > TICK_MS) ticksOverBudget++;
+  if (tickTimes.length > TICK_STATS_WINDOW) tickTimes.shift();
+  if (tickGaps.length > TICK_STATS_WINDOW) tickGaps.shift();
+}
 
-  const snap = {
-    t: Date.now(),
-    players: Array.from(players.values()).map(p => ({
-      id: p.id,
-      name: p.name,
-      color: p.color,
-      x: Math.round(p.x), y: Math.round(p.y),
-      rx: Math.round(p.rx), ry: Math.round(p.ry),
-      roomId: p.roomId,
-      subroomId: p.subroomId,
-      equippedKind: p.equippedKind || null,
-      chatText: p.chatText,
-      chatTs: p.chatTs
-    }))
+function tickStats() {
+  const ms = (v) => Math.round(v * 100) / 100;
+  const sorted = tickTimes.slice().sort((a, b) => a - b);
+  const n = sorted.length;
+  return {
+    budgetMs: TICK_MS,
+    samples: n,
+    avgMs: n ? ms(sorted.reduce((a, b) => a + b, 0) / n) : 0,
+    p95Ms: n ? ms(sorted[Math.min(n - 1, Math.floor(n * 0.95))]) : 0,
+    maxMs: n ? ms(sorted[n - 1]) : 0,
+    overBudget: sorted.filter(t => t > TICK_MS).length,
+    maxGapMs: ms(Math.max(0, ...tickGaps)),
+    total: ticksRun,
+    totalOverBudget: ticksOverBudget
   };
-  io.emit('state', snap);
 }
-setInterval(step, TICK_MS);
+setInterval(timedStep, TICK_MS);
 
 // ------------------------------ Start ------------------------------
+npcs = buildNpcs(npcs);
 server.listen(PORT, () => {
   console.log(`✅ Virtual Campus running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,84 @@
+// test/campus-schema.test.js
+// The shipped map lints clean, and the validator catches the mistakes it was
+// written for (with line/col when it has the text).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateCampus, lintCampusText, parseWithLocations, formatIssue } = require('../lib/campus-schema');
+
+const SHIPPED = fs.readFileSync(path.join(__dirname, '..', 'public', 'campus.json'), 'utf8');
+const campus = () => JSON.parse(SHIPPED);
+const messages = (issues) => issues.map(i => i.message);
+
+test('the shipped campus.json has no errors and no warnings', () => {
+  const { data, errors, warnings } = lintCampusText(SHIPPED);
+  assert.ok(data && Array.isArray(data.rooms));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+});
+
+test('an enter rect must match a building', () => {
+  const c = campus();
+  c.rooms[0].enter.x += 1;
+  const { errors } = validateCampus(c);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, 'rooms[0].enter');
+  assert.match(errors[0].message, /doesn't match any obstacle/);
+});
+
+test('duplicate room ids and missing required keys are errors', () => {
+  const c = campus();
+  c.rooms[1].id = c.rooms[0].id;
+  assert.ok(messages(validateCampus(c).errors).some(m => /duplicate room id/.test(m)));
+
+  const d = campus();
+  delete d.rooms[0].id;
+  assert.ok(messages(validateCampus(d).errors).some(m => /missing required "id"/.test(m)));
+});
+
+test('wrong types are errors; unknown keys are typo warnings', () => {
+  const c = campus();
+  c.width = 'wide';
+  c.rooms[0].interoir = {};
+  const { errors, warnings } = validateCampus(c);
+  assert.deepEqual(messages(errors), ['width must be a number (got string)']);
+  assert.deepEqual(messages(warnings), ['unknown property "interoir" in rooms[0] (typo?)']);
+});
+
+test('overlapping buildings and spawns inside walls are warnings', () => {
+  const c = campus();
+  const gym = c.obstacles.find(o => o.label === 'GYM 353');
+  c.obstacles.push({ x: gym.x + 10, y: gym.y + 10, w: 100, h: 100, label: 'SHED' });
+  c.rooms.push({ id: 'shed', name: 'Shed', enter: { x: gym.x + 10, y: gym.y + 10, w: 100, h: 100 }, interior: { w: 400, h: 300 } });
+  c.spawn = { x: gym.x + gym.w / 2, y: gym.y + gym.h / 2 };
+  const { errors, warnings } = validateCampus(c);
+  assert.deepEqual(errors, []);
+  assert.ok(messages(warnings).some(m => /room "shed" enter rect overlaps room "gym353"/.test(m)));
+  assert.ok(messages(warnings).some(m => /campus spawn .* overlaps "GYM 353"/.test(m)));
+});
+
+test('setting both capacity and rules.maxOccupancy is a warning', () => {
+  const c = campus();
+  Object.assign(c.rooms[0], { capacity: 20, rules: { ...(c.rooms[0].rules || {}), maxOccupancy: 10 } });
+  const { warnings } = validateCampus(c);
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].path, 'rooms[0].capacity');
+});
+
+test('issues from text carry line and column', () => {
+  const bad = lintCampusText('{\n  "width": 10,\n  "rooms": [,]\n}');
+  assert.equal(bad.data, null);
+  assert.deepEqual(bad.errors, [{ path: '', message: "Unexpected ','", line: 3, col: 13 }]);
+
+  const typed = lintCampusText('// comment\n{ "width": 3200, /* note */ "height": "tall", "obstacles": [], "rooms": [] }');
+  const height = typed.errors.find(e => e.path === 'height');
+  assert.deepEqual([height.line, height.col], [2, 39]);
+  assert.equal(formatIssue(height, 'error', 'map.json'), 'map.json:2:39  error   height must be a number (got string)');
+});
+
+test('parseWithLocations records where nested values start', () => {
+  const { data, locations } = parseWithLocations('{\n  "rooms": [\n    { "id": "gym" }\n  ]\n}');
+  assert.deepEqual(data, { rooms: [{ id: 'gym' }] });
+  assert.deepEqual(locations.get('rooms[0].id'), { line: 3, col: 13 });
+});
@@ -0,0 +1,73 @@
+// test/chat-commands.test.js
+// Registry: parsing, aliases, mod-only commands and failures inside a command.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCommandRegistry } = require('../lib/chat-commands');
+
+/** A ctx like server.js builds, collecting replies */
+function ctxFor(role = 'player') {
+  const replies = [];
+  return { role, replies, reply: (text, kind = 'info') => replies.push([kind, text]) };
+}
+
+function registry() {
+  const commands = createCommandRegistry();
+  commands.register({ name: 'roll', aliases: ['dice'], usage: '/roll [NdM]', run(ctx, args) { ctx.reply(`rolled ${args || 'd6'}`); } });
+  commands.register({ name: 'kick', role: 'mod', run(ctx, args) { ctx.reply(`kicked ${args}`); } });
+  return commands;
+}
+
+test('parse splits the name from the arguments', () => {
+  const { parse } = createCommandRegistry();
+  assert.deepEqual(parse('/W  Ann  hi there '), { name: 'w', args: 'Ann  hi there' });
+  assert.deepEqual(parse('/who'), { name: 'who', args: '' });
+  assert.equal(parse('hello'), null);
+  assert.equal(parse('/'), null);
+});
+
+test('commands run by name or alias, case-insensitively', async () => {
+  const commands = registry();
+  const ctx = ctxFor();
+  assert.equal(await commands.dispatch(ctx, '/roll 2d6'), true);
+  await commands.dispatch(ctx, '/DICE');
+  assert.deepEqual(ctx.replies, [['info', 'rolled 2d6'], ['info', 'rolled d6']]);
+});
+
+test('lines that are not commands are left alone', async () => {
+  const ctx = ctxFor();
+  assert.equal(await registry().dispatch(ctx, 'just chatting'), false);
+  assert.deepEqual(ctx.replies, []);
+});
+
+test('mod commands look unknown to players and are hidden from their list', async () => {
+  const commands = registry();
+  const player = ctxFor('player');
+  await commands.dispatch(player, '/kick Ann');
+  await commands.dispatch(player, '/nope');
+  assert.deepEqual(player.replies, [
+    ['error', 'Unknown command /kick. Type /help for the list.'],
+    ['error', 'Unknown command /nope. Type /help for the list.']
+  ]);
+  assert.deepEqual(commands.list('player').map(d => d.name), ['roll']);
+
+  const mod = ctxFor('mod');
+  await commands.dispatch(mod, '/kick Ann');
+  assert.deepEqual(mod.replies, [['info', 'kicked Ann']]);
+  assert.deepEqual(commands.list('mod').map(d => d.name), ['roll', 'kick']);
+});
+
+test('a command that throws gets an error reply instead of crashing', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const commands = createCommandRegistry();
+  commands.register({ name: 'boom', async run() { throw new Error('nope'); } });
+  const ctx = ctxFor();
+  assert.equal(await commands.dispatch(ctx, '/boom'), true);
+  assert.deepEqual(ctx.replies, [['error', '/boom failed.']]);
+});
+
+test('bad or clashing definitions are refused at registration', () => {
+  const commands = registry();
+  assert.throws(() => commands.register({ name: 'Bad Name', run() {} }), /bad command definition/);
+  assert.throws(() => commands.register({ name: 'nofn' }), /bad command definition/);
+  assert.throws(() => commands.register({ name: 'dice', run() {} }), /already registered/);
+});
@@ -0,0 +1,80 @@
+// test/chat-moderation.test.js
+// Blocklist masking, rate limits, repeat detection, escalating cooldowns and mutes.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatModerator } = require('../lib/chat-moderation');
+
+const blocklist = {
+  words: ['dang', 'heck'],
+  patterns: [
+    { pattern: '\\b\\d{3}[-. ]?\\d{3}[-. ]?\\d{4}\\b' },
+    { pattern: 'discord\\.gg/\\S+', action: 'reject' }
+  ]
+};
+
+test('blocklisted words are masked as whole words only', () => {
+  const mod = createChatModerator({ blocklist });
+  const v = mod.check(mod.createState(), 'Dang it, what the HECK, checkers?', 0);
+  assert.deepEqual(v, { ok: true, text: '**** it, what the ****, checkers?', masked: true });
+  assert.equal(mod.filter('call 555-123-4567').text, 'call ************');
+});
+
+test('reject patterns drop the whole message', () => {
+  const mod = createChatModerator({ blocklist });
+  const v = mod.check(mod.createState(), 'join discord.gg/abc', 0);
+  assert.equal(v.ok, false);
+  assert.equal(v.reason, 'blocked');
+});
+
+test('a bad pattern is skipped, not fatal', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const mod = createChatModerator({ blocklist: { patterns: ['(unclosed', 'ok'] } });
+  assert.equal(mod.filter('ok then').text, '** then');
+});
+
+test('sending too fast starts a cooldown that grows with each violation', () => {
+  const mod = createChatModerator({ rate: { max: 2, windowMs: 1000 }, cooldownsMs: [100, 500] });
+  const s = mod.createState();
+  assert.ok(mod.check(s, 'one', 0).ok);
+  assert.ok(mod.check(s, 'two', 10).ok);
+
+  const first = mod.check(s, 'three', 20);
+  assert.deepEqual([first.reason, first.retryInMs], ['rate', 100]);
+  assert.equal(mod.check(s, 'three', 50).reason, 'cooldown');
+
+  const second = mod.check(s, 'three', 130); // cooldown over, still over the rate
+  assert.deepEqual([second.reason, second.retryInMs], ['rate', 500]);
+  assert.ok(mod.check(s, 'four', 1200).ok);   // window and cooldown both passed
+});
+
+test('repeating yourself is caught regardless of case, spacing and punctuation', () => {
+  const mod = createChatModerator();
+  const s = mod.createState();
+  assert.ok(mod.check(s, 'hello there', 0).ok);
+  assert.equal(mod.check(s, 'HELLO   there!!', 10).reason, 'repeat');
+});
+
+test('enough violations auto-mute; unmute clears everything', () => {
+  const mod = createChatModerator({ rate: { max: 1, windowMs: 60000 }, cooldownsMs: [0], autoMuteAfter: 3, autoMuteMs: 1000 });
+  const s = mod.createState();
+  assert.ok(mod.check(s, 'a', 0).ok);
+  assert.equal(mod.check(s, 'b', 1).reason, 'rate');
+  assert.equal(mod.check(s, 'c', 2).reason, 'rate');
+  const muted = mod.check(s, 'd', 3);
+  assert.deepEqual([muted.reason, muted.retryInMs], ['muted', 1000]);
+  assert.ok(mod.isMuted(s, 500));
+  assert.equal(mod.check(s, 'e', 500).reason, 'muted');
+
+  mod.unmute(s);
+  assert.ok(!mod.isMuted(s, 500));
+  assert.equal(s.violations.length, 0);
+});
+
+test('a moderator mute only ever extends', () => {
+  const mod = createChatModerator();
+  const s = mod.createState();
+  mod.mute(s, 10000, 'mod:Ms. Reyes', 0);
+  mod.mute(s, 1000, 'auto', 0);
+  assert.equal(s.mutedUntil, 10000);
+  assert.match(mod.check(s, 'hi', 4000).message, /muted for 6s/);
+});
@@ -0,0 +1,73 @@
+// test/collision.test.js
+// Circles against walls: pushes out of rects and corners, sliding along walls,
+// staying in bounds, and fast knockback that must not tunnel through thin walls.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { circleRectPush, resolveCircle, moveCircle, MAX_SUBSTEP_PX } = require('../lib/collision');
+
+const R = 18;
+const BOUNDS = { w: 1000, h: 1000 };
+const WALL = { x: 500, y: 0, w: 20, h: 1000 };   // thin vertical wall
+const BOX = { x: 400, y: 400, w: 200, h: 200 };
+
+const near = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-6, `${msg || ''} ${actual} ≉ ${expected}`);
+
+test('a circle clear of a rect gets no push; a touching one is pushed out along the normal', () => {
+  assert.equal(circleRectPush(400 - R, 500, R, BOX), null);
+  const side = circleRectPush(390, 500, R, BOX);
+  near(side.x, -8); near(side.y, 0);
+  // Off the corner the push points away from the corner, not along an axis
+  const corner = circleRectPush(390, 390, R, BOX);
+  assert.ok(corner.x < 0 && corner.y < 0);
+  near(corner.x, corner.y);
+});
+
+test('a center inside a rect leaves through the nearest side', () => {
+  assert.deepEqual(circleRectPush(410, 500, R, BOX), { x: -(10 + R), y: 0 });
+  assert.deepEqual(circleRectPush(500, 590, R, BOX), { x: 0, y: 10 + R });
+});
+
+test('resolveCircle clears two rects that meet at an inside corner', () => {
+  const floor = { x: 0, y: 600, w: 1000, h: 100 };
+  const side = { x: 600, y: 0, w: 100, h: 700 };
+  const at = resolveCircle(590, 590, R, [floor, side], BOUNDS);
+  near(at.x, 600 - R); near(at.y, 600 - R);
+  assert.equal(circleRectPush(at.x, at.y, R, floor), null);
+  assert.equal(circleRectPush(at.x, at.y, R, side), null);
+});
+
+test('resolveCircle keeps the circle inside the space', () => {
+  assert.deepEqual(resolveCircle(-50, 2000, R, [], BOUNDS), { x: R, y: BOUNDS.h - R });
+});
+
+test('moving diagonally into a wall slides along it', () => {
+  const m = moveCircle(470, 500, 40, 30, R, [WALL], BOUNDS);
+  near(m.x, 500 - R, 'x stops at the wall');
+  near(m.y, 530, 'y keeps going');
+  assert.deepEqual([m.blockedX, m.blockedY], [true, false]);
+});
+
+test('a free move goes the whole way and reports nothing blocked', () => {
+  const m = moveCircle(100, 100, 30, -20, R, [WALL], BOUNDS);
+  assert.deepEqual(m, { x: 130, y: 80, blockedX: false, blockedY: false });
+});
+
+test('knockback far longer than the wall is thick does not tunnel through it', () => {
+  // One tick of bat knockback (520 px/s at 20 FPS is 26 px) and a much harder hit
+  for (const dx of [26, 200, 900]) {
+    const m = moveCircle(470, 500, dx, 0, R, [WALL], BOUNDS);
+    near(m.x, 500 - R, `dx ${dx}`);
+    assert.ok(m.blockedX);
+  }
+  assert.ok(MAX_SUBSTEP_PX < WALL.w + R, 'substeps are shorter than the thinnest wall plus a radius');
+});
+
+test('driving diagonally into a corner slides around it and never overlaps the box', () => {
+  let at = { x: 300, y: 300 };
+  for (let tick = 0; tick < 40; tick++) {
+    at = moveCircle(at.x, at.y, 20, 20, R, [BOX], BOUNDS);
+    const push = circleRectPush(at.x, at.y, R, BOX); // resting against it can leave float dust
+    assert.ok(!push || Math.hypot(push.x, push.y) < 1e-6, `tick ${tick}: ${at.x}, ${at.y}`);
+  }
+  assert.ok(at.x > BOX.x + BOX.w, 'went round to the far side');
+});
@@ -0,0 +1,77 @@
+// test/minigame.test.js
+// Round lifecycle (lobby → countdown → running → results → idle), scoring and leaving.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMinigame } = require('../lib/minigame');
+
+/** A game with a running round between the given players (time in ms from 0) */
+function running(mode, ids, opts = {}) {
+  const game = createMinigame({ modes: ['tag', 'dodgeball'], countdownSeconds: 1, roundSeconds: 10, resultsSeconds: 2, ...opts });
+  ids.forEach(id => assert.ok(game.join(id, id.toUpperCase(), mode, 0).ok));
+  assert.equal(game.tick(1000), 'started');
+  return game;
+}
+
+test('enough players start a countdown; dropping below puts it back to the lobby', () => {
+  const game = createMinigame({ minPlayers: 2, countdownSeconds: 5 });
+  assert.deepEqual(game.join('a', 'Ann', 'tag', 0), { ok: true });
+  assert.equal(game.view().phase, 'lobby');
+  game.join('b', 'Bob', null, 0);
+  assert.deepEqual([game.view().phase, game.view().until], ['countdown', 5000]);
+  assert.equal(game.tick(4999), null);
+
+  game.leave('b');
+  assert.equal(game.view().phase, 'lobby');
+  game.leave('a');
+  assert.equal(game.view().phase, 'idle');
+});
+
+test('joins are refused mid-round, twice, when full, or for a mode the room lacks', () => {
+  const lobby = createMinigame({ modes: ['tag'], maxPlayers: 2, minPlayers: 3 });
+  assert.equal(lobby.join('a', 'Ann', 'dodgeball').ok, false);
+  lobby.join('a', 'Ann');
+  assert.match(lobby.join('a', 'Ann').message, /already in/);
+  lobby.join('b', 'Bob');
+  assert.match(lobby.join('c', 'Cat').message, /full/);
+
+  const game = running('tag', ['a', 'b']);
+  assert.match(game.join('c', 'Cat', 'tag', 1500).message, /already running/);
+});
+
+test('in tag every hit scores and the most points win when time runs out', () => {
+  const game = running('tag', ['a', 'b', 'c']);
+  assert.ok(game.hit('a', 'b'));
+  assert.ok(game.hit('a', 'c'));
+  assert.ok(game.hit('b', 'a'));
+  assert.ok(!game.hit('a', 'a'));
+  assert.ok(!game.hit('a', 'watcher'));
+  assert.equal(game.tick(10999), null);
+  assert.equal(game.tick(11000), 'ended');
+  const { phase, results } = game.view();
+  assert.equal(phase, 'results');
+  assert.deepEqual(results.winners, ['a']);
+  assert.deepEqual(results.ranking.map(p => [p.id, p.score]), [['a', 2], ['b', 1], ['c', 0]]);
+  assert.equal(game.tick(13000), 'idle');
+});
+
+test('in dodgeball a hit knocks you out and the last one standing wins', () => {
+  const game = running('dodgeball', ['a', 'b', 'c']);
+  assert.ok(game.hit('b', 'c'));
+  assert.ok(!game.playing('c'));
+  assert.ok(!game.hit('c', 'a')); // out players can't hit back
+  assert.ok(game.hit('a', 'b'));
+  assert.equal(game.tick(2000), 'ended'); // one left: the round is over early
+  assert.deepEqual(game.view().results.winners, ['a']);
+});
+
+test('leaving mid-round keeps you on the scoreboard but out of the win', () => {
+  const game = running('tag', ['a', 'b', 'c']);
+  game.hit('a', 'b');
+  game.hit('a', 'c');
+  assert.ok(game.leave('a'));
+  assert.ok(!game.leave('a'));
+  assert.ok(!game.playing('a'));
+  assert.equal(game.view().players.find(p => p.id === 'a').left, true);
+  assert.equal(game.tick(11000), 'ended');
+  assert.deepEqual(game.view().results.winners, []); // the top scorer left
+});
@@ -0,0 +1,67 @@
+// test/name-registry.test.js
+// Look-alike name keys, passcode claims saved to disk, and per-requester lockouts.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNameRegistry, nameKey } = require('../lib/name-registry');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'names-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'names.json');
+}
+
+test('nameKey folds case, spacing, accents and look-alike letters', () => {
+  const key = nameKey('Lukas');
+  for (const same of ['LUKAS', 'Lu kas', 'Lúkas', 'Luk\u0430s' /* Cyrillic а */, 'Lu\u200Bkas' /* zero-width space */, '1ukas']) {
+    assert.equal(nameKey(same), key, same);
+  }
+  assert.equal(nameKey('rn'), nameKey('m'));
+  assert.equal(nameKey('B0b'), nameKey('Bob'));
+  assert.notEqual(nameKey('Lukas'), nameKey('Lucas'));
+});
+
+test('a claim survives a restart and only works with its passcode', async (t) => {
+  const file = tempFile(t);
+  const names = createNameRegistry({ file });
+  assert.deepEqual(await names.claim('Lukas', 'hunter22'), { ok: true });
+  assert.deepEqual(await names.claim('LUKAS', 'other-pass'), { ok: false, code: 'taken' });
+
+  const reloaded = createNameRegistry({ file });
+  assert.ok(reloaded.isClaimed('lukas'));
+  assert.equal(reloaded.size, 1);
+  assert.deepEqual(await reloaded.verify('Lúkas', 'hunter22'), { ok: true });
+  assert.deepEqual(await reloaded.verify('Lukas', 'wrong'), { ok: false, code: 'bad_passcode' });
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('hunter22'));
+});
+
+test('claims need a name and a long enough passcode', async (t) => {
+  const names = createNameRegistry({ file: tempFile(t), minPasscode: 6 });
+  assert.deepEqual(await names.claim('Ann', '12345'), { ok: false, code: 'weak_passcode' });
+  assert.deepEqual(await names.claim('...', 'longenough'), { ok: false, code: 'invalid' });
+  assert.deepEqual(await names.verify('Nobody', 'x'), { ok: false, code: 'not_claimed' });
+});
+
+test('wrong guesses lock out the guesser, not the owner', async (t) => {
+  const names = createNameRegistry({ file: tempFile(t), maxAttempts: 3, lockoutMs: 1000 });
+  await names.claim('Lukas', 'hunter22');
+  for (let i = 0; i < 3; i++) assert.equal((await names.verify('Lukas', `guess${i}`, 'attacker', 0)).code, 'bad_passcode');
+
+  const locked = await names.verify('Lukas', 'hunter22', 'attacker', 100);
+  assert.deepEqual(locked, { ok: false, code: 'locked', retryInMs: 900 });
+  assert.deepEqual(await names.verify('Lukas', 'hunter22', 'owner', 100), { ok: true });
+  assert.deepEqual(await names.verify('Lukas', 'hunter22', 'attacker', 1000), { ok: true }); // lockout over
+});
+
+test('release frees the name and forgets its lockouts', async (t) => {
+  const names = createNameRegistry({ file: tempFile(t), maxAttempts: 1 });
+  await names.claim('Lukas', 'hunter22');
+  await names.verify('Lukas', 'nope', 'kid', 0);
+  assert.equal(await names.release('lukas'), true);
+  assert.equal(await names.release('lukas'), false);
+  assert.ok(!names.isClaimed('Lukas'));
+  await names.claim('Lukas', 'newpass1');
+  assert.deepEqual(await names.verify('Lukas', 'newpass1', 'kid', 1), { ok: true });
+});
@@ -0,0 +1,64 @@
+// test/paint-layer.test.js
+// Strokes per space, the point budget that drops the oldest first, and saving.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPaintLayer } = require('../lib/paint-layer');
+
+const stroke = (n, color = '#ef4444') => ({ name: 'Ann', color, width: 6, points: Array.from({ length: n * 2 }, (_, i) => i) });
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('strokes stay in their own space, oldest first', () => {
+  const paint = createPaintLayer();
+  const a = paint.add('room:art', stroke(3));
+  const b = paint.add('room:art', stroke(2, '#3b82f6'));
+  paint.add('campus', stroke(1));
+  assert.deepEqual(paint.strokes('room:art').map(s => s.id), [a.id, b.id]);
+  assert.ok(b.id > a.id);
+  assert.deepEqual(paint.summary(), [
+    { space: 'room:art', strokes: 2, points: 5 },
+    { space: 'campus', strokes: 1, points: 1 }
+  ]);
+  assert.deepEqual(paint.strokes('room:gym'), []);
+});
+
+test('over the point budget the oldest strokes make room', () => {
+  const paint = createPaintLayer({ maxPoints: 10 });
+  const first = paint.add('campus', stroke(4));
+  const second = paint.add('campus', stroke(4));
+  const third = paint.add('campus', stroke(4));
+  assert.deepEqual(paint.strokes('campus').map(s => s.id), [second.id, third.id]);
+  assert.ok(!paint.strokes('campus').includes(first));
+  assert.equal(paint.summary()[0].points, 8);
+  assert.equal(paint.add('campus', stroke(11)), null); // bigger than the whole budget
+  assert.equal(paint.add('campus', stroke(0)), null);
+});
+
+test('clear wipes one space', () => {
+  const paint = createPaintLayer();
+  paint.add('campus', stroke(2));
+  paint.add('campus', stroke(2));
+  paint.add('room:art', stroke(2));
+  assert.equal(paint.clear('campus'), 2);
+  assert.equal(paint.clear('campus'), 0);
+  assert.deepEqual(paint.summary().map(s => s.space), ['room:art']);
+});
+
+test('paint is saved and loaded back, and ids keep counting up', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paint-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'paint.json');
+
+  const paint = createPaintLayer({ file, saveDelayMs: 0 });
+  paint.add('room:art', stroke(2));
+  const last = paint.add('room:art', stroke(3));
+  await wait(50);
+
+  const reloaded = createPaintLayer({ file, saveDelayMs: 0 });
+  assert.deepEqual(reloaded.strokes('room:art'), paint.strokes('room:art'));
+  assert.deepEqual(reloaded.summary(), [{ space: 'room:art', strokes: 2, points: 5 }]);
+  assert.ok(reloaded.add('room:art', stroke(1)).id > last.id);
+  await wait(50); // let that save land before the directory goes
+});
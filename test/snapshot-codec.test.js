@@ -0,0 +1,104 @@
+// test/snapshot-codec.test.js
+// Keyframe/delta frames round-trip through the decoder, and the binary encoding
+// carries exactly what the JSON form does.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Codec = require('../public/snapshot-codec');
+
+const ann = (over = {}) => Codec.toEntry(1, { id: 'a1', name: 'Ann', color: '#ef4444', x: 100.4, y: 200.6, rx: 0, ry: 0, tagColor: '#e8ecff', ...over });
+const bob = (over = {}) => Codec.toEntry(2, { id: 'b2', name: 'Bob', color: '#3b82f6', x: 300, y: 400, rx: 0, ry: 0, roomId: 'gym353', ...over });
+const ball = (over = {}) => Codec.toEntityEntry(7, { type: 'ball', x: 50, y: 60, ...over });
+
+/** Feed frames through JSON (a structured clone, as Socket.IO would) or binary */
+function viaJson(frame) { return JSON.parse(JSON.stringify(frame)); }
+function viaBinary(frame) { return Codec.decodeBinary(Codec.encodeBinary(frame)); }
+
+test('toEntry keeps exactly the wire fields, quantized', () => {
+  const e = ann({ secret: 'x', x: -5, y: 70000 });
+  assert.deepEqual(Object.keys(e), ['n', ...Codec.PLAYER_FIELDS.map(f => f.key)]);
+  assert.equal(e.x, 0);
+  assert.equal(e.y, 0xFFFF);
+  assert.equal(e.roomId, null);
+  assert.equal(e.npc, false);
+});
+
+test('a keyframe carries every player; a delta only what changed', () => {
+  const enc = Codec.createEncoder();
+  const key = enc.next(1000, [ann(), bob()], true, [ball()]);
+  assert.equal(key.k, 1);
+  assert.equal(key.p.length, 2);
+  assert.deepEqual(key.e, [ball()]);
+
+  const same = enc.next(1050, [ann(), bob()], false, [ball()]);
+  assert.deepEqual(same, { t: 1050, k: 0, p: [], g: [] }); // nothing moved: no entities either
+
+  const moved = enc.next(1100, [ann({ x: 120 }), bob()], false, [ball({ x: 55 })]);
+  assert.deepEqual(moved.p, [{ n: 1, x: 120 }]);
+  assert.deepEqual(moved.e, [ball({ x: 55 })]);
+
+  const gone = enc.next(1150, [ann({ x: 120 })], false, [ball({ x: 55 })]);
+  assert.deepEqual(gone.g, [2]);
+});
+
+for (const [label, wire] of [['JSON', viaJson], ['binary', viaBinary]]) {
+  test(`decoder rebuilds the same state from ${label} keyframes and deltas`, () => {
+    const enc = Codec.createEncoder();
+    const dec = Codec.createDecoder();
+    const ticks = [
+      [[ann(), bob()], [ball()]],
+      [[ann({ x: 130, pose: 'sit' }), bob({ equippedKind: 'bat' })], [ball({ y: 90 })]],
+      [[ann({ x: 130, pose: null, hat: 'crown' })], [ball({ y: 90 })]],
+      [[ann({ name: 'Zoë 🎨' }), Codec.toEntry(3, { id: 'npc:reyes', name: 'Ms. Reyes', npc: true, x: 5, y: 6 })], []]
+    ];
+    ticks.forEach(([players, ents], i) => {
+      const state = dec.apply(wire(enc.next(1000 + i * 50, players, i === 0, ents)));
+      assert.equal(state.t, 1000 + i * 50);
+      assert.deepEqual(state.players.sort((a, b) => a.n - b.n), players);
+      assert.deepEqual(state.entities, ents);
+    });
+  });
+}
+
+test('deltas before the first keyframe are ignored', () => {
+  const enc = Codec.createEncoder();
+  enc.next(1000, [ann()], true);
+  const delta = enc.next(1050, [ann({ x: 1 })], false);
+  const dec = Codec.createDecoder();
+  assert.equal(dec.apply(delta), null);
+  assert.equal(dec.apply(viaBinary(delta)), null);
+});
+
+test('binary frames decode to the JSON frame', () => {
+  const enc = Codec.createEncoder();
+  const frames = [
+    enc.next(1000, [ann(), bob()], true, [ball()]),
+    enc.next(1050, [ann({ y: 10, equippedKind: 'mic' })], false, [ball()]),
+    enc.next(1100, [ann({ y: 10, equippedKind: null })], false, [])
+  ];
+  for (const f of frames) assert.deepEqual(viaBinary(f), viaJson(f));
+});
+
+test('binary decoding accepts a Node Buffer, an ArrayBuffer and a typed-array view', () => {
+  const bytes = Codec.encodeBinary(Codec.createEncoder().next(1, [ann()], true));
+  const copy = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const offset = new Uint8Array(bytes.length + 3);
+  offset.set(bytes, 3);
+  for (const raw of [Buffer.from(bytes), copy, offset.subarray(3)]) {
+    assert.ok(Codec.isBinary(raw));
+    assert.equal(Codec.decodeBinary(raw).p[0].name, 'Ann');
+  }
+});
+
+test('binary decoding refuses another codec version', () => {
+  const bytes = Codec.encodeBinary(Codec.createEncoder().next(1, [ann()], true));
+  bytes[0] = Codec.VERSION + 1;
+  assert.throws(() => Codec.decodeBinary(bytes), /snapshot version/);
+});
+
+test('over-long strings are cut on a character boundary', () => {
+  const long = 'a' + '€'.repeat(30000); // 90001 bytes of UTF-8
+  const id = viaBinary({ t: 1, k: 1, p: [ann({ id: long })], g: [] }).p[0].id;
+  assert.ok(id.length < long.length);
+  assert.ok(long.startsWith(id));
+  assert.ok(!id.includes('�'));
+});